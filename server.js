@@ -8,7 +8,19 @@ import fetch, { FormData, Blob } from 'node-fetch';
 import { load as loadHTML } from 'cheerio';
 import pLimit from 'p-limit';
 import robotsParser from 'robots-parser';
+import sharp from 'sharp';
 import { GoogleGenerativeAI } from '@google/generative-ai';
+import { readFile, writeFile, appendFile, mkdir, rename, readdir, rm } from 'fs/promises';
+import { createHash, createHmac, randomBytes, randomUUID, timingSafeEqual } from 'crypto';
+import { existsSync, readFileSync } from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import dns from 'dns';
+import net from 'net';
+import http from 'http';
+import https from 'https';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
 
 const app = express();
 app.use(cors());
@@ -16,6 +28,8 @@ app.use(express.json({ limit: '10mb' }));
 
 // serve static frontend
 app.use('/', express.static('web'));
+// canned search fixtures (pages + images) for offline development
+app.use('/fixtures', express.static('fixtures'));
 
 // --- fal.ai setup ---
 fal.config({ credentials: process.env.FAL_KEY });
@@ -38,14 +52,22 @@ const CSE_API_KEY = process.env.CSE_API_KEY;
 const CSE_CX = process.env.CSE_CX;
 const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
 const USER_AGENT = 'Mozilla/5.0 (compatible; RoomShopBot/1.0)';
+// product token robots.txt groups are matched against
+const ROBOTS_AGENT = 'RoomShopBot';
 const ENABLE_3D = String(process.env.ENABLE_3D || '').toLowerCase() === 'true';
+// cse | sitemap | fixture; when unset, cse if keys are configured, otherwise fixture
+const SEARCH_PROVIDER = String(process.env.SEARCH_PROVIDER || '').toLowerCase();
+const FIXTURE_DIR = process.env.FIXTURE_DIR || 'fixtures/search';
 
 const genAI = GEMINI_API_KEY ? new GoogleGenerativeAI(GEMINI_API_KEY) : null;
 
-function priceBands(budget) {
-  const b = Math.max(5, Number(budget || 150));
+// Budget-based fallback bands; budget is in `currency`, defaults are USD amounts converted into it
+function priceBands(budget, currency = 'USD') {
+  const inCurrency = (usd) => convertCurrency(usd, 'USD', currency) ?? usd;
+  const floor = inCurrency(5);
+  const b = Math.max(floor, Number(budget || inCurrency(150)));
   return {
-    low: { min: Math.max(5, Math.round(b * 0.25)), max: Math.round(b * 0.6) },
+    low: { min: Math.max(floor, Math.round(b * 0.25)), max: Math.round(b * 0.6) },
     mid: { min: Math.round(b * 0.6), max: Math.round(b * 1.1) },
     high: { min: Math.round(b * 1.1), max: Math.round(b * 1.8) },
   };
@@ -60,30 +82,856 @@ async function fetchWithTimeout(url, opts = {}, timeoutMs = 10000) {
   } finally { clearTimeout(id); }
 }
 
+// --- Usage ledger and quotas (config/usage.json) ---
+// Every outbound paid call (CSE, Gemini, fal, ElevenLabs) goes through `usage.track()`:
+// the caller's daily quotas are checked before the call, its estimated cost is held
+// while it runs (and released if it fails) and the outcome is appended to
+// USAGE_DIR/<YYYY-MM-DD>.jsonl. Callers are keyed by a signed session cookie the server
+// hands out, by their address until they send one back, or by X-User-Id when a trusted
+// front end vouches for it with USAGE_USER_TOKEN.
+const USAGE_CONFIG = process.env.USAGE_CONFIG || 'config/usage.json';
+const USAGE_DIR = process.env.USAGE_DIR || 'data/usage';
+const USAGE_ADMIN_TOKEN = process.env.USAGE_ADMIN_TOKEN || '';
+const USAGE_USER_TOKEN = process.env.USAGE_USER_TOKEN || '';
+// without a configured secret, sessions last until the next restart
+const USAGE_COOKIE_SECRET = process.env.USAGE_COOKIE_SECRET || randomBytes(32).toString('hex');
+const USAGE_MAX_DAYS = 31;
+const USER_COOKIE = 'roomshop_session';
+const USER_ID_RE = /^[\w.@:-]{1,64}$/;
+const RESERVED_USER_IDS = new Set(['all', 'system', '*']);
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function loadUsageConfig(file = USAGE_CONFIG) {
+  const quota = (q) => ({ dailyCostUsd: q?.dailyCostUsd ?? null, daily: { ...(q?.daily || {}) } });
+  const defaults = { prices: {}, quotas: { user: quota(), users: {}, global: quota() } };
+  try {
+    const data = JSON.parse(readFileSync(file, 'utf8'));
+    const config = {
+      prices: data.prices || {},
+      quotas: {
+        user: quota(data.quotas?.user),
+        users: data.quotas?.users || {},
+        global: quota(data.quotas?.global),
+      },
+    };
+    console.log('[USAGE] loaded prices for:', Object.keys(config.prices).join(', ') || '(none)');
+    return config;
+  } catch (e) {
+    console.error('[USAGE] failed to load', file, e?.message || e);
+    return defaults;
+  }
+}
+
+const usageConfig = loadUsageConfig();
+
+// Estimated USD for one call: the endpoint's price, else the provider's default
+function estimateCost(provider, endpoint) {
+  const prices = usageConfig.prices[provider] || {};
+  return Number(prices[endpoint] ?? prices.default ?? 0) || 0;
+}
+
+// Limits for one user: the shared user quota with any per-user override on top
+function userQuota(user) {
+  const base = usageConfig.quotas.user;
+  const own = usageConfig.quotas.users[user] || {};
+  return { dailyCostUsd: own.dailyCostUsd ?? base.dailyCostUsd, daily: { ...base.daily, ...(own.daily || {}) } };
+}
+
+const usageDay = (at = Date.now()) => new Date(at).toISOString().slice(0, 10);
+const roundUsd = (n) => Math.round(n * 10000) / 10000;
+
+function createUsageLedger(dir) {
+  const fileFor = (day) => path.join(dir, `${day}.jsonl`);
+  // running totals for today, per user and '*' for everyone: { costUsd, calls: { provider: n } }
+  let today = null;
+  let totals = new Map();
+  let writes = Promise.resolve();
+  const readDay = async (day) => {
+    let text = '';
+    try { text = await readFile(fileFor(day), 'utf8'); } catch { return []; }
+    return text.split('\n').filter(Boolean).flatMap(line => {
+      try { return [JSON.parse(line)]; } catch { return []; }
+    });
+  };
+  const add = (key, provider, costUsd, calls) => {
+    const t = totals.get(key) || { costUsd: 0, calls: {} };
+    t.costUsd = Math.max(0, t.costUsd + costUsd);
+    t.calls[provider] = Math.max(0, (t.calls[provider] || 0) + calls);
+    totals.set(key, t);
+  };
+  // totals roll over at UTC midnight; after a restart they are rebuilt from the day's file
+  const current = () => {
+    const day = usageDay();
+    if (day !== today) {
+      today = day;
+      totals = new Map();
+      let text = '';
+      try { text = readFileSync(fileFor(day), 'utf8'); } catch {}
+      for (const line of text.split('\n')) {
+        try {
+          const e = JSON.parse(line);
+          if (!e.ok) continue;
+          add(e.user, e.provider, e.costUsd, 1);
+          add('*', e.provider, e.costUsd, 1);
+        } catch {}
+      }
+    }
+    return totals;
+  };
+  const limitHit = (limits, t, provider, costUsd) => {
+    const maxCalls = limits.daily[provider];
+    if (maxCalls != null && (t?.calls[provider] || 0) + 1 > maxCalls) return `${maxCalls} ${provider} calls per day`;
+    if (limits.dailyCostUsd != null && costUsd > 0 && (t?.costUsd || 0) + costUsd > limits.dailyCostUsd) return `$${limits.dailyCostUsd} estimated spend per day`;
+    return null;
+  };
+  const check = (user, provider, endpoint) => {
+    const costUsd = estimateCost(provider, endpoint);
+    const t = current();
+    const own = limitHit(userQuota(user), t.get(user), provider, costUsd);
+    const global = !own && limitHit(usageConfig.quotas.global, t.get('*'), provider, costUsd);
+    if (own || global) {
+      const resetAt = `${usageDay(Date.now() + 24 * 60 * 60 * 1000)}T00:00:00Z`;
+      const err = httpError(429, `Usage quota reached (${own ? 'your' : 'service-wide'} limit of ${own || global}); ${provider} calls resume at ${resetAt}`);
+      // marks our own refusals apart from providers' rate-limit 429s, which callers fall back on
+      err.code = 'USAGE_QUOTA';
+      err.resetAt = resetAt;
+      console.warn('[USAGE] quota refused:', { user, provider, endpoint, limit: own || global });
+      throw err;
+    }
+    return costUsd;
+  };
+  const append = (entry) => {
+    writes = writes.then(async () => {
+      await mkdir(dir, { recursive: true });
+      await appendFile(fileFor(usageDay(entry.at)), `${JSON.stringify(entry)}\n`);
+    }).catch(e => console.warn('[USAGE] ledger write failed', e?.message || e));
+    return writes;
+  };
+  return {
+    check,
+    readDay,
+    totals(user) {
+      const view = (t) => ({ costUsd: roundUsd(t?.costUsd || 0), calls: { ...(t?.calls || {}) } });
+      return { user: view(current().get(user)), global: view(current().get('*')) };
+    },
+    async track(user, provider, endpoint, fn, { purpose = null, ref = null } = {}) {
+      const costUsd = check(user, provider, endpoint);
+      add(user, provider, costUsd, 1);
+      add('*', provider, costUsd, 1);
+      const started = Date.now();
+      const entry = { at: started, user, provider, endpoint, purpose, ref };
+      try {
+        const out = await fn();
+        append({ ...entry, ok: true, costUsd, ms: Date.now() - started });
+        return out;
+      } catch (err) {
+        // failed calls are logged but not charged
+        add(user, provider, -costUsd, -1);
+        add('*', provider, -costUsd, -1);
+        append({ ...entry, ok: false, costUsd: 0, ms: Date.now() - started, error: String(err?.message || err).slice(0, 200) });
+        throw err;
+      }
+    },
+  };
+}
+
+const usageLedger = createUsageLedger(USAGE_DIR);
+
+// What request handlers pass down to paid calls: the ledger bound to one user
+function usageScope(user) {
+  return {
+    user,
+    check: (provider, endpoint) => usageLedger.check(user, provider, endpoint),
+    track: (provider, endpoint, fn, meta) => usageLedger.track(user, provider, endpoint, fn, meta),
+  };
+}
+
+// calls made outside a request are booked to this user
+const systemUsage = usageScope('system');
+
+// Calls and estimated spend over `days` days ending with `day`, per provider and
+// endpoint; without a user everyone is reported, with a per-user breakdown
+async function usageReport({ day = usageDay(), days = 1, user = null } = {}) {
+  const tally = () => ({ calls: 0, failed: 0, costUsd: 0 });
+  const count = (t, e) => {
+    t.calls++;
+    if (!e.ok) t.failed++;
+    t.costUsd = roundUsd(t.costUsd + (e.costUsd || 0));
+  };
+  const end = Date.parse(`${day}T00:00:00Z`);
+  const dayList = Array.from({ length: days }, (_, i) => usageDay(end - (days - 1 - i) * 24 * 60 * 60 * 1000));
+  const report = { from: dayList[0], to: day, user: user || 'all', ...tally(), byProvider: {}, byDay: {} };
+  if (!user) report.byUser = {};
+  for (const d of dayList) {
+    for (const e of await usageLedger.readDay(d)) {
+      if (user && e.user !== user) continue;
+      const provider = report.byProvider[e.provider] ||= { ...tally(), endpoints: {} };
+      count(report, e);
+      count(provider, e);
+      count(provider.endpoints[e.endpoint] ||= tally(), e);
+      count(report.byDay[d] ||= tally(), e);
+      if (report.byUser) count(report.byUser[e.user] ||= tally(), e);
+    }
+  }
+  return report;
+}
+
+function parseCookies(header) {
+  const out = {};
+  for (const part of String(header || '').split(';')) {
+    const i = part.indexOf('=');
+    if (i <= 0) continue;
+    // a malformed value only loses that cookie
+    try { out[part.slice(0, i).trim()] = decodeURIComponent(part.slice(i + 1).trim()); } catch {}
+  }
+  return out;
+}
+
+const sameToken = (a, b) => a.length === b.length && timingSafeEqual(Buffer.from(a), Buffer.from(b));
+const sessionSignature = (id) => createHmac('sha256', USAGE_COOKIE_SECRET).update(id).digest('base64url');
+
+// `<uuid>.<hmac>`; anything the server didn't sign is ignored
+function sessionUser(cookie) {
+  const [id, sig] = String(cookie || '').split('.');
+  return id && sig && /^[0-9a-f-]{36}$/.test(id) && sameToken(sig, sessionSignature(id)) ? id : null;
+}
+
+function requestUser(req) {
+  const header = String(req.get('x-user-id') || '').trim();
+  const token = String(req.get('x-user-token') || '');
+  if (header && USAGE_USER_TOKEN && sameToken(token, USAGE_USER_TOKEN)) {
+    if (!USER_ID_RE.test(header) || RESERVED_USER_IDS.has(header)) throw httpError(400, 'Invalid X-User-Id');
+    return header;
+  }
+  return sessionUser(parseCookies(req.headers.cookie)[USER_COOKIE]);
+}
+
+app.use('/api', (req, res, next) => {
+  let user;
+  try {
+    user = requestUser(req);
+  } catch (err) {
+    return res.status(err.status).json({ error: err.message });
+  }
+  if (!user) {
+    const id = randomUUID();
+    res.append('Set-Cookie', `${USER_COOKIE}=${id}.${sessionSignature(id)}; Path=/; Max-Age=31536000; SameSite=Lax; HttpOnly`);
+    // until the cookie comes back, a fresh session each time would be a fresh quota
+    user = `ip:${req.ip}`;
+  }
+  req.userId = user;
+  req.usage = usageScope(user);
+  next();
+});
+
+// --- Prompt templates (config/prompts.json) ---
+// Named templates with numbered versions; `default` is the version used when a request
+// doesn't pick one (`promptId`: "compose@v1" or just "v1"). Published versions are left
+// as they are and changes go into a new one, so the prompt ID recorded with every output
+// always says which wording produced it. A version is a string or a list of lines.
+// {{name}} inserts a variable (lists are joined with ", "; `{{name|upper}}` upper-cases),
+// {{#name}}…{{/name}} keeps its text only when the variable is set, {{^name}}…{{/name}}
+// only when it isn't. Every template can use tier, productTitles, roomType and style.
+const PROMPTS_CONFIG = process.env.PROMPTS_CONFIG || 'config/prompts.json';
+
+function loadPrompts(file = PROMPTS_CONFIG) {
+  try {
+    const data = JSON.parse(readFileSync(file, 'utf8'));
+    const templates = {};
+    for (const [name, t] of Object.entries(data.templates || {})) {
+      const versions = Object.fromEntries(Object.entries(t.versions || {})
+        .map(([v, text]) => [v, Array.isArray(text) ? text.join('\n') : String(text)]));
+      const fallback = Object.keys(versions).pop();
+      if (!fallback) continue;
+      templates[name] = { default: versions[t.default] != null ? t.default : fallback, versions };
+    }
+    const stylePresets = Object.fromEntries(Object.entries(data.stylePresets || {}).map(([k, v]) => [k.toLowerCase(), String(v)]));
+    console.log('[PROMPTS] loaded:', Object.entries(templates).map(([name, t]) => `${name}@${t.default}`).join(', '));
+    return { templates, stylePresets };
+  } catch (e) {
+    console.error('[PROMPTS] failed to load', file, e?.message || e);
+    return { templates: {}, stylePresets: {} };
+  }
+}
+
+const prompts = loadPrompts();
+
+function renderTemplate(text, vars) {
+  const set = (name) => Array.isArray(vars[name]) ? vars[name].length > 0 : vars[name] != null && vars[name] !== '' && vars[name] !== false;
+  return text
+    .replace(/\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}/g, (_, kind, name, body) => (set(name) === (kind === '#') ? body : ''))
+    .replace(/\{\{(\w+)(?:\|(upper|lower))?\}\}/g, (_, name, filter) => {
+      const v = vars[name];
+      const s = Array.isArray(v) ? v.join(', ') : String(v ?? '');
+      return filter === 'upper' ? s.toUpperCase() : filter === 'lower' ? s.toLowerCase() : s;
+    });
+}
+
+// Template version for a request: `requested` is "name@version", a bare version or empty for the default
+function resolvePrompt(name, requested) {
+  const template = prompts.templates[name];
+  if (!template) throw httpError(500, `No prompt template "${name}" (check ${PROMPTS_CONFIG})`);
+  const raw = String(requested || '').trim();
+  const [asked, version] = raw.includes('@') ? raw.split('@', 2) : [name, raw || template.default];
+  if (asked !== name) throw httpError(400, `promptId ${raw} is not a ${name} prompt`);
+  if (template.versions[version] == null) throw httpError(400, `Unknown ${name} prompt version: ${version} (have ${Object.keys(template.versions).join(', ')})`);
+  return { id: `${name}@${version}`, text: template.versions[version] };
+}
+
+// The style preset named in a request, as the description templates use; unknown names are a 400
+function stylePreset(name) {
+  if (name == null || name === '') return null;
+  const preset = prompts.stylePresets[String(name).toLowerCase()];
+  if (!preset) throw httpError(400, `Unknown style preset: ${name} (have ${Object.keys(prompts.stylePresets).join(', ')})`);
+  return preset;
+}
+
+// A room ID from the taxonomy ("living") reads as its first name ("living room"); anything else as given
+function roomTypeName(raw) {
+  if (raw == null || raw === '') return null;
+  const room = taxonomy.rooms.find(r => r.id === raw);
+  return room?.words?.[0] || String(raw).trim().slice(0, 60) || null;
+}
+
+// The chosen version of a template rendered with `vars`: { id, prompt }
+function renderPrompt(name, vars = {}, requested = null) {
+  const { id, text } = resolvePrompt(name, requested);
+  return { id, prompt: renderTemplate(text, vars) };
+}
+
+// --- Crawl scheduler (per-host concurrency, Crawl-delay, 429/503 backoff) ---
+const CRAWL_HOST_CONCURRENCY = Number(process.env.CRAWL_HOST_CONCURRENCY || 2);
+const CRAWL_MIN_DELAY_MS = Number(process.env.CRAWL_MIN_DELAY_MS || 250);
+const CRAWL_MAX_DELAY_MS = 30000;
+const CRAWL_MAX_RETRIES = 2;
+// a Retry-After longer than this fails the fetch instead of holding the request open
+const CRAWL_MAX_RETRY_WAIT_MS = 20000;
+const crawlHosts = new Map();
+
+function crawlHostState(host) {
+  let state = crawlHosts.get(host);
+  if (!state) {
+    state = {
+      host,
+      active: 0,
+      waiting: [],
+      timer: null,
+      nextAt: 0,
+      backoffUntil: 0,
+      crawlDelayMs: 0,
+      stats: { requests: 0, ok: 0, notModified: 0, clientErrors: 0, serverErrors: 0, throttled: 0, retries: 0, failures: 0, totalMs: 0, lastStatus: null, lastAt: null },
+    };
+    crawlHosts.set(host, state);
+  }
+  return state;
+}
+
+// A Crawl-delay means one request at a time, spaced by that delay
+function crawlHostLimit(state) {
+  return state.crawlDelayMs ? 1 : CRAWL_HOST_CONCURRENCY;
+}
+
+function pumpCrawlHost(state) {
+  if (state.timer) return;
+  while (state.waiting.length && state.active < crawlHostLimit(state)) {
+    const wait = Math.max(state.nextAt, state.backoffUntil) - Date.now();
+    if (wait > 0) {
+      state.timer = setTimeout(() => { state.timer = null; pumpCrawlHost(state); }, wait);
+      return;
+    }
+    state.active++;
+    state.nextAt = Date.now() + Math.max(CRAWL_MIN_DELAY_MS, state.crawlDelayMs);
+    state.waiting.shift()();
+  }
+}
+
+function acquireCrawlSlot(state) {
+  return new Promise(resolve => {
+    state.waiting.push(resolve);
+    pumpCrawlHost(state);
+  });
+}
+
+function releaseCrawlSlot(state) {
+  state.active--;
+  pumpCrawlHost(state);
+}
+
+function setCrawlDelay(host, seconds) {
+  const ms = Math.min(CRAWL_MAX_DELAY_MS, Math.max(0, Number(seconds || 0) * 1000));
+  const state = crawlHostState(host);
+  if (state.crawlDelayMs !== ms) console.log('[CRAWL] crawl-delay:', { host, ms });
+  state.crawlDelayMs = ms;
+}
+
+// Retry-After is either seconds or an HTTP date
+function retryAfterMs(res, attempt) {
+  const h = res.headers.get('retry-after');
+  if (h) {
+    const secs = Number(h);
+    if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+    const at = Date.parse(h);
+    if (!Number.isNaN(at)) return Math.max(0, at - Date.now());
+  }
+  return Math.min(60000, 1000 * 2 ** attempt);
+}
+
+// fetchWithTimeout for retailer sites: waits for a host slot and retries 429/503 after backing off
+async function politeFetch(url, opts = {}, timeoutMs = 10000) {
+  const host = new URL(url).hostname;
+  const state = crawlHostState(host);
+  const { stats } = state;
+  for (let attempt = 0; ; attempt++) {
+    await acquireCrawlSlot(state);
+    const started = Date.now();
+    let res;
+    try {
+      stats.requests++;
+      res = await fetchWithTimeout(url, opts, timeoutMs);
+    } catch (e) {
+      stats.failures++;
+      throw e;
+    } finally {
+      stats.totalMs += Date.now() - started;
+      stats.lastAt = new Date().toISOString();
+      releaseCrawlSlot(state);
+    }
+    stats.lastStatus = res.status;
+    if (res.status === 304) stats.notModified++;
+    else if (res.ok) stats.ok++;
+    else if (res.status >= 500) stats.serverErrors++;
+    else if (res.status >= 400) stats.clientErrors++;
+    if (res.status !== 429 && res.status !== 503) return res;
+    stats.throttled++;
+    const wait = retryAfterMs(res, attempt);
+    state.backoffUntil = Math.max(state.backoffUntil, Date.now() + wait);
+    console.warn('[CRAWL] throttled:', { host, status: res.status, waitMs: wait, attempt });
+    if (attempt >= CRAWL_MAX_RETRIES || wait > CRAWL_MAX_RETRY_WAIT_MS) return res;
+    stats.retries++;
+  }
+}
+
+function crawlStatsReport() {
+  return Array.from(crawlHosts.values()).map(s => ({
+    host: s.host,
+    ...s.stats,
+    avgMs: s.stats.requests ? Math.round(s.stats.totalMs / s.stats.requests) : null,
+    active: s.active,
+    queued: s.waiting.length,
+    crawlDelayMs: s.crawlDelayMs,
+    backoffUntil: s.backoffUntil > Date.now() ? new Date(s.backoffUntil).toISOString() : null,
+  })).sort((a, b) => b.requests - a.requests);
+}
+
+// --- On-disk cache (hydrated products, robots.txt) ---
+const CACHE_DIR = process.env.CACHE_DIR || '.cache';
+const CACHE_MEMORY_ENTRIES = 2000;
+const HOUR_MS = 60 * 60 * 1000;
+const PRODUCT_CACHE_TTL_MS = Number(process.env.PRODUCT_CACHE_TTL_HOURS || 24) * HOUR_MS;
+// pages that turned out not to be products are re-checked sooner
+const PRODUCT_MISS_TTL_MS = Number(process.env.PRODUCT_MISS_TTL_HOURS || 6) * HOUR_MS;
+const ROBOTS_CACHE_TTL_MS = Number(process.env.ROBOTS_CACHE_TTL_HOURS || 24) * HOUR_MS;
+
+// JSON file per key under CACHE_DIR/<namespace>, fronted by a small in-memory map.
+// Bump the namespace version when the stored shape changes.
+function createDiskCache(namespace) {
+  const dir = path.join(CACHE_DIR, namespace);
+  const mem = new Map();
+  const fileFor = (key) => path.join(dir, `${createHash('sha1').update(key).digest('hex')}.json`);
+  const remember = (key, entry) => {
+    mem.delete(key);
+    mem.set(key, entry);
+    if (mem.size > CACHE_MEMORY_ENTRIES) mem.delete(mem.keys().next().value);
+  };
+  return {
+    namespace,
+    async get(key) {
+      if (mem.has(key)) return mem.get(key);
+      try {
+        const entry = JSON.parse(await readFile(fileFor(key), 'utf8'));
+        if (entry.key !== key) return null;
+        remember(key, entry);
+        return entry;
+      } catch { return null; }
+    },
+    async set(key, entry) {
+      const full = { ...entry, key };
+      remember(key, full);
+      try {
+        await mkdir(dir, { recursive: true });
+        const file = fileFor(key);
+        const tmp = `${file}.${process.pid}.tmp`;
+        await writeFile(tmp, JSON.stringify(full));
+        await rename(tmp, file);
+      } catch (e) {
+        console.warn('[CACHE] write failed', namespace, e?.message || e);
+      }
+    },
+  };
+}
+
+const productCache = createDiskCache('products-v2');
+const robotsCache = createDiskCache('robots-v1');
+
+// Read-through fetch: fresh entries are returned as-is; stale ones are revalidated with
+// If-None-Match / If-Modified-Since and a 304 only extends the entry's lifetime.
+// `parse(res)` turns a response into the stored value; throw from it to skip caching.
+// Concurrent lookups of the same URL share one fetch.
+const cachedFetchInflight = new Map();
+
+function cachedFetch(cache, url, opts) {
+  const key = `${cache.namespace}:${url}`;
+  if (cachedFetchInflight.has(key)) return cachedFetchInflight.get(key);
+  const p = cachedFetchOnce(cache, url, opts).finally(() => cachedFetchInflight.delete(key));
+  cachedFetchInflight.set(key, p);
+  return p;
+}
+
+async function cachedFetchOnce(cache, url, { ttlMs, timeoutMs = 8000, parse }) {
+  const entry = await cache.get(url);
+  const now = Date.now();
+  if (entry && entry.expiresAt > now) return entry.value;
+  const headers = {};
+  if (entry?.etag) headers['If-None-Match'] = entry.etag;
+  if (entry?.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+  const r = await politeFetch(url, { headers }, timeoutMs);
+  const ttlFor = (value) => typeof ttlMs === 'function' ? ttlMs(value) : ttlMs;
+  if (r.status === 304 && entry) {
+    await cache.set(url, { ...entry, expiresAt: now + ttlFor(entry.value) });
+    return entry.value;
+  }
+  const value = await parse(r);
+  await cache.set(url, {
+    value,
+    etag: r.headers.get('etag'),
+    lastModified: r.headers.get('last-modified'),
+    storedAt: now,
+    expiresAt: now + ttlFor(value),
+  });
+  return value;
+}
+
+// parsed rules per robots.txt URL, rebuilt only when the cached text changes
+const robotsParsed = new Map();
+
 async function robotsAllowed(url) {
   try {
     const u = new URL(url);
     const robotsUrl = `${u.origin}/robots.txt`;
-    const r = await fetchWithTimeout(robotsUrl, {}, 4000);
-    if (!r.ok) return true;
-    const txt = await r.text();
-    const robots = robotsParser(robotsUrl, txt);
-    return robots.isAllowed(url, USER_AGENT);
+    // a missing robots.txt (4xx) allows everything; 5xx is not cached and allows this request
+    const txt = await cachedFetch(robotsCache, robotsUrl, {
+      ttlMs: ROBOTS_CACHE_TTL_MS,
+      timeoutMs: 4000,
+      parse: async (r) => {
+        if (r.status >= 500) throw new Error(`robots.txt ${r.status}`);
+        return r.ok ? r.text() : '';
+      },
+    });
+    let parsed = robotsParsed.get(robotsUrl);
+    if (!parsed || parsed.txt !== txt) {
+      parsed = { txt, robots: robotsParser(robotsUrl, txt) };
+      robotsParsed.set(robotsUrl, parsed);
+      setCrawlDelay(u.hostname, parsed.robots.getCrawlDelay(ROBOTS_AGENT));
+    }
+    return parsed.robots.isAllowed(url, ROBOTS_AGENT) !== false;
   } catch {
     return true;
   }
 }
 
-function extractProductFromJSONLD(html, pageUrl) {
+// --- schema.org product extraction (JSON-LD, Microdata, RDFa) ---
+const AVAILABILITY_VALUES = ['InStock', 'OutOfStock', 'PreOrder', 'BackOrder', 'Discontinued', 'LimitedAvailability', 'OnlineOnly', 'InStoreOnly', 'SoldOut', 'PreSale'];
+const IN_STOCK_VALUES = new Set(['InStock', 'LimitedAvailability', 'OnlineOnly', 'InStoreOnly']);
+const DIMENSION_KEYS = ['width', 'depth', 'height', 'length', 'diameter', 'weight'];
+
+// strip vocab prefixes: "http://schema.org/Product", "schema:Product" -> "Product"
+function schemaLocalName(v) {
+  return String(v || '').trim().replace(/^.*[/#:]/, '');
+}
+
+function schemaTypes(node) {
+  const t = node?.['@type'];
+  return (Array.isArray(t) ? t : [t]).filter(Boolean).map(schemaLocalName);
+}
+
+function isSchemaType(node, ...names) {
+  return schemaTypes(node).some(t => names.includes(t));
+}
+
+function asList(v) {
+  if (v == null) return [];
+  return Array.isArray(v) ? v : [v];
+}
+
+function schemaText(v) {
+  const first = asList(v)[0];
+  if (first == null) return null;
+  if (typeof first === 'object') return schemaText(first.name ?? first['@value'] ?? first.value ?? null);
+  const s = String(first).trim();
+  return s || null;
+}
+
+// Parses "1,299.00", "1.299,00", "$ 89.99" and plain numbers
+function parsePrice(v) {
+  const first = asList(v)[0];
+  if (first == null) return null;
+  if (typeof first === 'number') return Number.isFinite(first) ? first : null;
+  if (typeof first === 'object') return parsePrice(first['@value'] ?? first.value ?? null);
+  let s = String(first).replace(/[^\d.,-]/g, '');
+  if (!s) return null;
+  const lastComma = s.lastIndexOf(',');
+  const lastDot = s.lastIndexOf('.');
+  if (lastComma > -1 && lastDot > -1) {
+    s = lastComma > lastDot ? s.replace(/\./g, '').replace(',', '.') : s.replace(/,/g, '');
+  } else if (lastComma > -1) {
+    s = /,\d{1,2}$/.test(s) ? s.replace(/,/g, '.') : s.replace(/,/g, '');
+  }
+  const n = Number(s);
+  return Number.isFinite(n) ? n : null;
+}
+
+function normalizeAvailability(v) {
+  const name = schemaLocalName(schemaText(v)).toLowerCase();
+  if (!name) return null;
+  return AVAILABILITY_VALUES.find(a => a.toLowerCase() === name) || null;
+}
+
+function availabilityInStock(availability) {
+  if (!availability) return null;
+  return IN_STOCK_VALUES.has(availability);
+}
+
+function schemaImages(v, abs) {
+  return asList(v)
+    .map(i => typeof i === 'string' ? i : (i?.url || i?.contentUrl || null))
+    .map(i => schemaText(i))
+    .filter(Boolean)
+    .map(abs);
+}
+
+// QuantitativeValue | "80 cm" | 80 -> "80 cm"
+function quantityText(v) {
+  const first = asList(v)[0];
+  if (first == null) return null;
+  if (typeof first === 'object') {
+    const value = first.value ?? first['@value'];
+    if (value == null) return schemaText(first.name);
+    const unit = first.unitText || first.unitCode || '';
+    return `${value}${unit ? ` ${unit}` : ''}`;
+  }
+  return schemaText(first);
+}
+
+function extractOffers(node) {
+  const out = [];
+  let low = null, high = null;
+  const visit = (o) => {
+    for (const offer of asList(o)) {
+      if (!offer || typeof offer !== 'object') continue;
+      if (isSchemaType(offer, 'AggregateOffer')) {
+        const l = parsePrice(offer.lowPrice);
+        const h = parsePrice(offer.highPrice);
+        if (l != null) low = low == null ? l : Math.min(low, l);
+        if (h != null) high = high == null ? h : Math.max(high, h);
+        if (offer.offers) visit(offer.offers);
+        if (!offer.offers && l != null) {
+          out.push({ price: l, currency: schemaText(offer.priceCurrency), availability: normalizeAvailability(offer.availability), url: schemaText(offer.url), seller: schemaText(offer.seller) });
+        }
+        continue;
+      }
+      const spec = asList(offer.priceSpecification)[0];
+      out.push({
+        price: parsePrice(offer.price ?? spec?.price ?? offer.lowPrice),
+        currency: schemaText(offer.priceCurrency ?? spec?.priceCurrency),
+        availability: normalizeAvailability(offer.availability),
+        url: schemaText(offer.url),
+        seller: schemaText(offer.seller),
+      });
+    }
+  };
+  visit(node?.offers);
+  return { offers: out, low, high };
+}
+
+// Headline offer: cheapest in-stock offer, else cheapest priced offer
+function pickHeadlineOffer(offers) {
+  const priced = offers.filter(o => o.price != null);
+  const inStock = priced.filter(o => availabilityInStock(o.availability) === true);
+  const pool = inStock.length ? inStock : priced;
+  return pool.slice().sort((a, b) => a.price - b.price)[0] || offers[0] || null;
+}
+
+function extractAttributes(node) {
+  const dimensions = {};
+  const properties = {};
+  for (const key of DIMENSION_KEYS) {
+    const q = quantityText(node?.[key]);
+    if (q) dimensions[key] = q;
+  }
+  for (const prop of asList(node?.additionalProperty)) {
+    const name = schemaText(prop?.name);
+    if (!name || prop.value == null) continue;
+    // PropertyValue carries its unit alongside the value
+    const value = typeof prop.value === 'object' ? quantityText(prop.value) : quantityText({ value: prop.value, unitText: prop.unitText || prop.unitCode });
+    if (value == null) continue;
+    properties[name] = value;
+    const key = DIMENSION_KEYS.find(k => name.toLowerCase().includes(k));
+    if (key && !dimensions[key]) dimensions[key] = value;
+  }
+  const materialProp = Object.keys(properties).find(k => /material/i.test(k));
+  return {
+    dimensions,
+    properties,
+    material: schemaText(node?.material) || (materialProp ? properties[materialProp] : null),
+    color: schemaText(node?.color),
+  };
+}
+
+function extractRating(node) {
+  const r = asList(node?.aggregateRating)[0];
+  if (!r || typeof r !== 'object') return null;
+  const value = parsePrice(r.ratingValue);
+  if (value == null) return null;
+  const count = parsePrice(r.reviewCount ?? r.ratingCount);
+  const best = parsePrice(r.bestRating);
+  return { value, count: count != null ? Math.round(count) : null, best: best ?? 5 };
+}
+
+function extractGtin(node) {
+  for (const key of ['gtin', 'gtin13', 'gtin14', 'gtin12', 'gtin8']) {
+    const v = schemaText(node?.[key]);
+    if (v) return v.replace(/\D/g, '') || v;
+  }
+  return null;
+}
+
+function buildVariant(node, abs) {
+  const { offers } = extractOffers(node);
+  const headline = pickHeadlineOffer(offers);
+  const attrs = extractAttributes(node);
+  return {
+    name: schemaText(node.name),
+    sku: schemaText(node.sku),
+    gtin: extractGtin(node),
+    color: attrs.color,
+    size: schemaText(node.size),
+    material: attrs.material,
+    price: headline?.price ?? null,
+    currency: headline?.currency || null,
+    availability: headline?.availability || null,
+    inStock: availabilityInStock(headline?.availability),
+    image: schemaImages(node.image, abs)[0] || null,
+    url: headline?.url || schemaText(node.url) || null,
+  };
+}
+
+function buildProductRecord(node, pageUrl, byId) {
+  const abs = (u) => {
+    try { return new URL(u, pageUrl).toString(); } catch { return u; }
+  };
+  const resolve = (n) => (n && typeof n === 'object' && n['@id'] && Object.keys(n).length === 1 && byId.get(n['@id'])) || n;
+  const variants = asList(node.hasVariant).map(resolve).filter(v => v && typeof v === 'object').map(v => buildVariant(v, abs));
+  const { offers, low, high } = extractOffers(node);
+  // ProductGroups often carry no offers of their own; their variants do
+  const allOffers = offers.length ? offers : variants.map(v => ({ price: v.price, currency: v.currency, availability: v.availability, url: v.url, seller: null }));
+  const headline = pickHeadlineOffer(allOffers);
+  const prices = allOffers.map(o => o.price).filter(p => p != null);
+  const min = low ?? (prices.length ? Math.min(...prices) : null);
+  const max = high ?? (prices.length ? Math.max(...prices) : null);
+  const availability = headline?.availability || null;
+  let inStock = availabilityInStock(availability);
+  if (variants.length && variants.some(v => v.inStock === true)) inStock = true;
+  const attrs = extractAttributes(node);
+  let images = schemaImages(node.image, abs);
+  if (!images.length) images = variants.map(v => v.image).filter(Boolean);
+  return {
+    isProduct: true,
+    name: schemaText(node.name),
+    description: schemaText(node.description),
+    images,
+    price: headline?.price ?? min ?? null,
+    currency: headline?.currency || allOffers.find(o => o.currency)?.currency || null,
+    priceRange: min != null && max != null && max > min ? { min, max } : null,
+    availability,
+    inStock,
+    rating: extractRating(node),
+    sku: schemaText(node.sku),
+    gtin: extractGtin(node),
+    mpn: schemaText(node.mpn),
+    brand: schemaText(node.brand),
+    category: schemaText(node.category),
+    color: attrs.color,
+    material: attrs.material,
+    dimensions: attrs.dimensions,
+    properties: attrs.properties,
+    variants,
+    offers: allOffers,
+    url: schemaText(node.url) || headline?.url || pageUrl,
+  };
+}
+
+// Microdata (itemscope/itemtype/itemprop) and RDFa (typeof/property) share one tree walk
+const EMBEDDED_SYNTAXES = [
+  { scope: 'itemscope', type: 'itemtype', prop: 'itemprop' },
+  { scope: 'typeof', type: 'typeof', prop: 'property' },
+];
+
+function embeddedValue($el) {
+  const tag = ($el.prop('tagName') || '').toLowerCase();
+  const attr = (name) => $el.attr(name);
+  if (attr('content') != null) return attr('content');
+  if (tag === 'time' && attr('datetime')) return attr('datetime');
+  if (['img', 'source', 'audio', 'video', 'embed', 'iframe'].includes(tag) && attr('src')) return attr('src');
+  if (['a', 'link', 'area'].includes(tag) && attr('href')) return attr('href');
+  if (attr('resource')) return attr('resource');
+  if (['data', 'meter'].includes(tag) && attr('value') != null) return attr('value');
+  return $el.text().replace(/\s+/g, ' ').trim();
+}
+
+function readEmbeddedItem($, el, syntax) {
+  const node = {};
+  const type = $(el).attr(syntax.type);
+  if (type) node['@type'] = type.split(/\s+/).filter(Boolean).map(schemaLocalName);
+  const add = (name, value) => {
+    const key = schemaLocalName(name);
+    if (!key) return;
+    if (node[key] === undefined) node[key] = value;
+    else node[key] = asList(node[key]).concat([value]);
+  };
+  const walk = (parent) => {
+    $(parent).children().each((_, child) => {
+      const $c = $(child);
+      const prop = $c.attr(syntax.prop);
+      const nested = $c.attr(syntax.scope) !== undefined;
+      if (prop) {
+        const value = nested ? readEmbeddedItem($, child, syntax) : embeddedValue($c);
+        prop.split(/\s+/).filter(Boolean).forEach(p => add(p, value));
+      }
+      if (!nested) walk(child);
+    });
+  };
+  walk(el);
+  return node;
+}
+
+function extractEmbeddedItems($) {
+  const items = [];
+  for (const syntax of EMBEDDED_SYNTAXES) {
+    $(`[${syntax.scope}]`).each((_, el) => {
+      if ($(el).attr(syntax.prop)) return; // nested items are read by their parent
+      items.push(readEmbeddedItem($, el, syntax));
+    });
+  }
+  return items;
+}
+
+function extractSchemaProduct(html, pageUrl) {
   const $ = loadHTML(html);
   const scripts = Array.from($('script[type="application/ld+json"]')).map(s => $(s).contents().text()).filter(Boolean);
   const jsons = [];
   for (const raw of scripts) {
     try { jsons.push(JSON.parse(raw)); } catch {}
   }
-  const abs = (u) => {
-    try { return new URL(u, pageUrl).toString(); } catch { return u; }
-  };
   const flat = [];
   const flatten = (node) => {
     if (!node) return;
@@ -95,31 +943,11 @@ function extractProductFromJSONLD(html, pageUrl) {
     }
   };
   jsons.forEach(flatten);
-  const product = flat.find(n => {
-    const t = n['@type'];
-    return t && (Array.isArray(t) ? t.includes('Product') : t === 'Product');
-  });
+  extractEmbeddedItems($).forEach(flatten);
+  const byId = new Map(flat.filter(n => n['@id']).map(n => [n['@id'], n]));
+  const product = flat.find(n => isSchemaType(n, 'ProductGroup')) || flat.find(n => isSchemaType(n, 'Product', 'IndividualProduct', 'ProductModel'));
   if (!product) return null;
-  const offers = Array.isArray(product.offers) ? product.offers[0] : product.offers;
-  const price = offers?.price ?? offers?.priceSpecification?.price ?? offers?.lowPrice;
-  const priceCurrency = offers?.priceCurrency ?? offers?.priceSpecification?.priceCurrency;
-  let images = [];
-  if (product.image) {
-    if (typeof product.image === 'string') images = [product.image];
-    else if (Array.isArray(product.image)) images = product.image.map(i => typeof i === 'string' ? i : i?.url).filter(Boolean);
-    else if (typeof product.image === 'object' && product.image.url) images = [product.image.url];
-  }
-  images = images.map(abs);
-  const url = product.url || offers?.url || pageUrl;
-  return {
-    isProduct: true,
-    name: product.name || null,
-    description: product.description || null,
-    images,
-    price: price != null ? Number(price) : null,
-    currency: priceCurrency || null,
-    url,
-  };
+  return buildProductRecord(product, pageUrl, byId);
 }
 
 function extractFallbackMeta(html, pageUrl) {
@@ -133,8 +961,9 @@ function extractFallbackMeta(html, pageUrl) {
   };
   const price = pick('meta[property="product:price:amount"]') || pick('meta[itemprop="price"]');
   const currency = pick('meta[property="product:price:currency"]') || pick('meta[itemprop="priceCurrency"]');
+  const availability = normalizeAvailability(pick('meta[property="product:availability"]') || pick('meta[property="og:availability"]'));
   // Weak regex fallback for embedded JSON; try to catch first numeric price
-  let priceNum = price != null ? Number(price) : null;
+  let priceNum = price != null ? parsePrice(price) : null;
   if (priceNum == null) {
     const body = $.html();
     const m = body && body.match(/\bprice\b\s*[:=]\s*"?(\d{1,5}(?:\.\d{1,2})?)"?/i);
@@ -150,6 +979,9 @@ function extractFallbackMeta(html, pageUrl) {
     images: image ? [abs(image)] : [],
     price: priceNum,
     currency: currency || null,
+    availability,
+    inStock: availabilityInStock(availability),
+    brand: pick('meta[property="product:brand"]') || pick('meta[property="og:brand"]'),
     url: pageUrl,
   };
 }
@@ -157,724 +989,3724 @@ function extractFallbackMeta(html, pageUrl) {
 function prefer(primary, fallback) {
   if (!primary) return fallback;
   return {
+    ...primary,
     isProduct: true,
     name: primary.name || fallback.name,
     description: primary.description || fallback.description,
     images: (primary.images && primary.images.length ? primary.images : fallback.images) || [],
     price: primary.price ?? fallback.price ?? null,
     currency: primary.currency || fallback.currency || null,
+    availability: primary.availability || fallback.availability || null,
+    inStock: primary.inStock ?? fallback.inStock ?? null,
+    brand: primary.brand || fallback.brand || null,
     url: primary.url || fallback.url,
   };
 }
 
-function isIkeaProductUrl(u) {
+// --- Product dimensions (schema.org, additionalProperty, spec tables) ---
+// Everything is converted to centimetres. Spec tables are read for the usual labels in
+// the market languages; "W x D x H" strings are read in that order unless lettered.
+const LENGTH_TO_CM = {
+  mm: 0.1, mmt: 0.1, cm: 1, cmt: 1, m: 100, mtr: 100,
+  in: 2.54, inch: 2.54, inches: 2.54, inh: 2.54, '"': 2.54, '″': 2.54, '”': 2.54,
+  ft: 30.48, feet: 30.48, foot: 30.48, fot: 30.48, "'": 30.48, '′': 30.48,
+};
+// word units must not run into a following word ("120 mattress" has no unit)
+const LENGTH_UNIT_RE = '(?:mm|cm|m|inches|inch|in|ft|feet|foot|mmt|cmt|mtr|inh|fot)(?![a-z])|["″”\'′]';
+const SIZE_LABELS = {
+  width: ['width', 'breite', 'largeur', 'ancho', 'larghezza', 'breedte', 'bredd', '幅'],
+  depth: ['depth', 'tiefe', 'profondeur', 'profundidad', 'profondità', 'diepte', 'djup', '奥行'],
+  height: ['height', 'höhe', 'hauteur', 'altura', 'altezza', 'hoogte', 'höjd', '高さ'],
+  length: ['length', 'länge', 'longueur', 'largo', 'lunghezza', 'lengte', 'längd', '長さ'],
+  diameter: ['diameter', 'durchmesser', 'diamètre', 'diámetro', 'diametro', '直径'],
+};
+const SIZE_MIN_CM = 1;
+const SIZE_MAX_CM = 2000;
+
+function sizeAxisFor(label) {
+  const l = String(label || '').toLowerCase();
+  return Object.keys(SIZE_LABELS).find(axis => SIZE_LABELS[axis].some(w => l.includes(w))) || null;
+}
+
+// "71 in", "39 3/4 in", "180 cm", "1,2 m"; `unitHint` covers bare numbers (e.g. from a "Width (cm)"
+// label). null when there is no unit or the value is implausible.
+function parseLengthCm(text, unitHint = null) {
+  const m = String(text ?? '').match(new RegExp(`(\\d+(?:[.,]\\d+)?)(?:\\s+(\\d+)/(\\d+))?\\s*(${LENGTH_UNIT_RE})?`, 'i'));
+  if (!m) return null;
+  const unit = (m[4] || unitHint || '').toLowerCase();
+  const factor = LENGTH_TO_CM[unit];
+  if (!factor) return null;
+  const fraction = m[2] && Number(m[3]) ? Number(m[2]) / Number(m[3]) : 0;
+  const cm = (Number(m[1].replace(',', '.')) + fraction) * factor;
+  return cm >= SIZE_MIN_CM && cm <= SIZE_MAX_CM ? Math.round(cm * 10) / 10 : null;
+}
+
+function unitHintIn(label) {
+  const m = String(label || '').match(new RegExp(`\\((${LENGTH_UNIT_RE})\\)`, 'i'));
+  return m ? m[1].toLowerCase() : null;
+}
+
+// '84"W x 38"D x 33"H', 'W 120 x D 60 x H 75 cm', '120 x 60 x 75 cm'; unlettered values
+// are width x depth (x height), and a unit given once applies to all of them
+function parseDimensionSet(text) {
+  const part = `(?:[wdhl]\\s*[:.]?\\s*)?\\d+(?:[.,]\\d+)?(?:\\s+\\d+/\\d+)?\\s*(?:${LENGTH_UNIT_RE})?\\s*(?:[wdhl](?![a-z]))?`;
+  const set = String(text || '').match(new RegExp(`${part}\\s*[x×]\\s*${part}(?:\\s*[x×]\\s*${part})?`, 'i'));
+  if (!set) return {};
+  const pieces = set[0].split(/\s*[x×]\s*/i);
+  const unitOf = (piece) => piece.match(new RegExp(`\\d\\s*(${LENGTH_UNIT_RE})`, 'i'))?.[1] || null;
+  const unit = pieces.map(unitOf).filter(Boolean).pop() || null;
+  const letters = { w: 'width', d: 'depth', h: 'height', l: 'length' };
+  const order = pieces.length === 3 ? ['width', 'depth', 'height'] : ['width', 'depth'];
+  const out = {};
+  pieces.forEach((piece, i) => {
+    const letter = piece.match(/^([wdhl])(?![a-z])/i)?.[1] || piece.match(/(?<![a-z])([wdhl])$/i)?.[1];
+    const axis = letter ? letters[letter.toLowerCase()] : order[i];
+    const cm = parseLengthCm(piece.replace(/^[wdhl]\s*[:.]?\s*/i, ''), unit);
+    if (cm != null && out[axis] == null) out[axis] = cm;
+  });
+  return out;
+}
+
+// Dimension text from spec tables / definition lists / "Label: value" list items
+function extractSpecDimensions(html) {
+  const $ = loadHTML(html);
+  const found = {};
+  const take = (label, value) => {
+    const axis = sizeAxisFor(label);
+    if (axis && value && !found[axis]) {
+      const hint = unitHintIn(label);
+      found[axis] = hint && parseLengthCm(value) == null ? `${value} ${hint}` : value;
+    } else if (/dimension|abmessung|maße|taille|medidas|misure|afmeting|mått|サイズ|overall/i.test(label) && value && !found.overall) {
+      found.overall = value;
+    }
+  };
+  $('tr').slice(0, 200).each((_, tr) => {
+    const cells = $(tr).children('th, td');
+    if (cells.length >= 2) take($(cells[0]).text().trim(), $(cells[1]).text().trim());
+  });
+  $('dt').slice(0, 200).each((_, dt) => take($(dt).text().trim(), $(dt).next('dd').text().trim()));
+  $('li').slice(0, 300).each((_, li) => {
+    const m = $(li).text().trim().match(/^([^:]{2,40}):\s*(.{1,80})$/);
+    if (m) take(m[1], m[2]);
+  });
+  return found;
+}
+
+// { width, depth, height } in cm from whatever the page gave; rugs and round items
+// take their length/diameter as the missing floor dimension
+function productSizeCm(p) {
+  const dims = p?.dimensions || {};
+  const size = {};
+  for (const [key, value] of Object.entries(dims)) {
+    if (key === 'overall') continue;
+    const axis = SIZE_LABELS[key] ? key : sizeAxisFor(key);
+    const cm = axis ? parseLengthCm(value) : null;
+    if (cm != null && size[axis] == null) size[axis] = cm;
+  }
+  const combined = { ...parseDimensionSet(p?.description), ...parseDimensionSet(dims.overall) };
+  for (const [axis, cm] of Object.entries(combined)) if (size[axis] == null) size[axis] = cm;
+  if (size.diameter != null) {
+    size.width ??= size.diameter;
+    size.depth ??= size.diameter;
+  }
+  if (size.length != null) {
+    if (size.width == null) size.width = size.length;
+    else size.depth ??= size.length;
+  }
+  const out = {};
+  for (const axis of ['width', 'depth', 'height']) if (size[axis] != null) out[axis] = size[axis];
+  return Object.keys(out).length ? out : null;
+}
+
+
+// --- Markets (country + language) ---
+const DEFAULT_MARKET = process.env.DEFAULT_MARKET || 'en-US';
+const COUNTRY_CURRENCY = {
+  US: 'USD', CA: 'CAD', MX: 'MXN', GB: 'GBP', IE: 'EUR', DE: 'EUR', AT: 'EUR', FR: 'EUR', BE: 'EUR', NL: 'EUR',
+  ES: 'EUR', PT: 'EUR', IT: 'EUR', FI: 'EUR', SE: 'SEK', NO: 'NOK', DK: 'DKK', CH: 'CHF', PL: 'PLN',
+  JP: 'JPY', KR: 'KRW', CN: 'CNY', SG: 'SGD', IN: 'INR', AU: 'AUD', NZ: 'NZD',
+};
+
+// Accepts "de-DE", "de_de" or { country: 'DE', language: 'de' }; null when unparseable
+function parseMarket(input = DEFAULT_MARKET) {
+  let language = null, country = null;
+  if (input && typeof input === 'object') {
+    language = input.language;
+    country = input.country;
+  } else {
+    const m = String(input || '').trim().match(/^([a-z]{2,3})[-_]([a-z]{2})$/i);
+    if (m) [, language, country] = m;
+  }
+  if (!/^[a-z]{2,3}$/i.test(language || '') || !/^[a-z]{2}$/i.test(country || '')) return null;
+  language = language.toLowerCase();
+  country = country.toUpperCase();
+  return { language, country, locale: `${language}-${country}`, currency: COUNTRY_CURRENCY[country] || null };
+}
+
+function languageName(code) {
+  try { return new Intl.DisplayNames(['en'], { type: 'language' }).of(code) || code; } catch { return code; }
+}
+
+function countryName(code) {
+  try { return new Intl.DisplayNames(['en'], { type: 'region' }).of(code) || code; } catch { return code; }
+}
+
+// --- Currency (offline exchange-rate table, config/exchange-rates.json) ---
+const EXCHANGE_RATES_CONFIG = process.env.EXCHANGE_RATES_CONFIG || 'config/exchange-rates.json';
+
+// rates are units of each currency per 1 unit of `base`
+function loadExchangeRates(file = EXCHANGE_RATES_CONFIG) {
   try {
-    const url = new URL(u);
-    if (!/ikea\.com$/i.test(url.hostname)) return false;
-    // Require product path like /au/en/p/<slug>/...
-    return /^\/[a-z]{2}\/en\/p\//i.test(url.pathname);
-  } catch { return false; }
+    const data = JSON.parse(readFileSync(file, 'utf8'));
+    const rates = Object.fromEntries(Object.entries(data.rates || {}).map(([k, v]) => [k.toUpperCase(), Number(v)]).filter(([, v]) => v > 0));
+    const base = String(data.base || 'USD').toUpperCase();
+    rates[base] = 1;
+    console.log('[FX] loaded rates:', { base, asOf: data.asOf || null, currencies: Object.keys(rates).length });
+    return { base, asOf: data.asOf || null, rates };
+  } catch (e) {
+    console.error('[FX] failed to load', file, e?.message || e);
+    return { base: 'USD', asOf: null, rates: { USD: 1 } };
+  }
+}
+
+const exchangeRates = loadExchangeRates();
+
+function isKnownCurrency(code) {
+  return !!code && exchangeRates.rates[String(code).toUpperCase()] != null;
+}
+
+// null when either currency is missing from the table
+function convertCurrency(amount, from, to) {
+  if (amount == null || !Number.isFinite(Number(amount))) return null;
+  const f = String(from || '').toUpperCase();
+  const t = String(to || '').toUpperCase();
+  if (f === t) return Number(amount);
+  const rf = exchangeRates.rates[f];
+  const rt = exchangeRates.rates[t];
+  if (!rf || !rt) return null;
+  // JPY/KRW have no minor unit; keep two decimals elsewhere
+  const digits = ['JPY', 'KRW'].includes(t) ? 0 : 2;
+  const factor = 10 ** digits;
+  return Math.round((Number(amount) / rf) * rt * factor) / factor;
+}
+
+// --- Retailer adapters (config/retailers.json) ---
+// Each adapter declares its domains, product/category path patterns, locale/currency
+// and optional `extract` selectors that override the generic price/image extraction.
+const RETAILERS_CONFIG = process.env.RETAILERS_CONFIG || 'config/retailers.json';
+
+function compileAdapter(raw) {
+  const compile = (list) => (Array.isArray(list) ? list : []).map(p => new RegExp(p, 'i'));
+  return {
+    id: String(raw.id),
+    name: raw.name || raw.id,
+    domains: (raw.domains || []).map(d => String(d).toLowerCase().replace(/^www\./, '')),
+    // CDNs serving the retailer's product images, for the asset proxy
+    imageHosts: (raw.imageHosts || []).map(d => String(d).toLowerCase()),
+    locale: raw.locale || 'en-US',
+    currency: raw.currency || null,
+    default: raw.default !== false,
+    // where the site is served from, e.g. "https://www.ikea.com"; defaults to https://<domain>
+    origin: raw.origin ? String(raw.origin).replace(/\/+$/, '') : null,
+    sitemaps: Array.isArray(raw.sitemaps) ? raw.sitemaps : [],
+    markets: raw.markets ? Object.fromEntries(Object.entries(raw.markets).map(([k, v]) => [parseMarket(k)?.locale || k, v || {}])) : null,
+    productUrlPatterns: compile(raw.productUrlPatterns),
+    categoryUrlPatterns: compile(raw.categoryUrlPatterns),
+    extract: raw.extract || null,
+  };
 }
 
-function isWestElmProductUrl(u) {
+function loadRetailerAdapters(file = RETAILERS_CONFIG) {
   try {
-    const url = new URL(u);
-    if (!/westelm\.com$/i.test(url.hostname)) return false;
-    // West Elm product pages contain /products/
-    return url.pathname.toLowerCase().includes('/products/');
-  } catch { return false; }
+    const data = JSON.parse(readFileSync(file, 'utf8'));
+    const adapters = (data.retailers || []).map(compileAdapter);
+    console.log('[RETAILERS] loaded adapters:', adapters.map(a => a.id).join(', '));
+    return adapters;
+  } catch (e) {
+    console.error('[RETAILERS] failed to load', file, e?.message || e);
+    return [];
+  }
+}
+
+// Order in the config file is the expansion priority
+const retailerAdapters = loadRetailerAdapters();
+
+function adapterForUrl(u) {
+  try {
+    const host = new URL(u).hostname.toLowerCase();
+    return retailerAdapters.find(a => a.domains.some(d => host === d || host.endsWith(`.${d}`))) || null;
+  } catch { return null; }
+}
+
+function adapterById(id) {
+  return retailerAdapters.find(a => a.id === id) || null;
+}
+
+// true/false when the retailer declares product URL patterns, null when we can't tell
+function matchesProductUrl(u) {
+  const adapter = adapterForUrl(u);
+  if (!adapter || !adapter.productUrlPatterns.length) return null;
+  try {
+    const { pathname } = new URL(u);
+    return adapter.productUrlPatterns.some(re => re.test(pathname));
+  } catch { return false; }
+}
+
+// Adapters without a `markets` map only serve their own locale
+function adapterMarket(adapter, market) {
+  if (!adapter || !market) return null;
+  if (adapter.markets) return adapter.markets[market.locale] || null;
+  return adapter.locale.toLowerCase() === market.locale.toLowerCase() ? { currency: adapter.currency } : null;
+}
+
+// Search site for an adapter in a market: domain plus optional path prefix, e.g. "ikea.com/de/de"
+function adapterSite(adapter, market) {
+  const m = adapterMarket(adapter, market);
+  if (!m) return null;
+  const domain = m.domain || adapter.domains[0];
+  return m.pathPrefix ? `${domain}${m.pathPrefix.replace(/\/$/, '')}` : domain;
+}
+
+function defaultRetailers({ ikeaOnly = true, market = parseMarket() } = {}) {
+  const adapters = ikeaOnly ? [adapterById('ikea')].filter(Boolean) : retailerAdapters.filter(a => a.default);
+  return adapters.map(a => adapterSite(a, market)).filter(Boolean);
+}
+
+// Drop pages from another market of the same retailer (e.g. /us/en/ when shopping in de-DE)
+function matchesMarket(u, market) {
+  const adapter = adapterForUrl(u);
+  if (!adapter || !adapter.markets || !market) return true;
+  const site = adapterSite(adapter, market);
+  return site ? siteMatchesUrl(u, site) : false;
+}
+
+// Adapter-specific selectors win over JSON-LD/meta when they produce a value
+function applyAdapterExtract(adapter, html, pageUrl, merged) {
+  const rules = adapter?.extract;
+  if (!rules) return merged;
+  const $ = loadHTML(html);
+  const read = (rule) => {
+    if (!rule?.selector) return null;
+    const el = $(rule.selector).first();
+    if (!el.length) return null;
+    const v = rule.attr ? el.attr(rule.attr) : el.text();
+    return v != null ? String(v).trim() || null : null;
+  };
+  const out = { ...merged };
+  const price = parsePrice(read(rules.price));
+  if (price != null) out.price = price;
+  const currency = rules.currency?.value || read(rules.currency);
+  if (currency) out.currency = currency;
+  const image = read(rules.image ? { attr: 'src', ...rules.image } : null);
+  if (image) {
+    try { out.images = [new URL(image, pageUrl).toString(), ...(out.images || [])]; } catch {}
+  }
+  return out;
+}
+
+function looksLikeCategoryUrl(u) {
+  try {
+    const { pathname, search } = new URL(u);
+    const path = pathname.toLowerCase();
+    const q = search.toLowerCase();
+    const categoryHints = [
+      '/s/', '/search', '/category', '/collections', '/browse', '/catalog', '/list', '/plp', '/shop/all', '/c/', '/dept/'
+    ];
+    if (categoryHints.some(h => path.includes(h))) return true;
+    const adapter = adapterForUrl(u);
+    if (adapter && adapter.categoryUrlPatterns.some(re => re.test(pathname))) return true;
+    const queryHints = ['?q=', 'search=', 'k=', 'keyword=', 'keywords=', 'refinements=', 'N=', 'Ns='];
+    if (queryHints.some(h => q.includes(h))) return true;
+    return false;
+  } catch { return false; }
+}
+
+// Search queries for a request from Gemini (`promptId` picks the queries template version);
+// resolves to { queries, promptId }, with canned queries and no prompt ID without Gemini
+// Shopping words for queries built without Gemini, per taxonomy language
+const FALLBACK_QUERY_WORDS = {
+  en: ['buy online', 'price', 'sale', 'premium'],
+  de: ['online kaufen', 'Preis', 'Angebot', 'hochwertig'],
+  fr: ['acheter en ligne', 'prix', 'promo', 'haut de gamme'],
+  es: ['comprar online', 'precio', 'oferta', 'premium'],
+  it: ['acquista online', 'prezzo', 'offerta', 'di qualità'],
+  nl: ['online kopen', 'prijs', 'aanbieding', 'luxe'],
+  sv: ['köp online', 'pris', 'rea', 'exklusiv'],
+  ja: ['通販', '価格', 'セール', '高級'],
+};
+
+// Queries in the market language: each planned category's term (with every shopping
+// word when it is the only one), then the request itself
+function fallbackQueries(idea, categories, language) {
+  const words = FALLBACK_QUERY_WORDS[language] || FALLBACK_QUERY_WORDS.en;
+  const terms = [...new Set(categories.map(c => categoryTerm(c, language)))];
+  return [...new Set([
+    ...terms.flatMap(t => (terms.length === 1 ? words : words.slice(0, 1)).map(w => `${t} ${w}`)),
+    ...words.map(w => `${idea} ${w}`),
+  ])];
+}
+
+async function geminiQueries(idea, budget, opts = {}) {
+  const { ikeaOnly = true, market = parseMarket(), currency = market.currency, categories = [], style = null, roomType = null, promptId = null, usage = systemUsage } = opts;
+  const fallback = fallbackQueries(idea, categories, market.language);
+  const { id, prompt } = renderPrompt('queries', {
+    idea, budget, currency, ikeaOnly, style, roomType,
+    country: countryName(market.country),
+    language: languageName(market.language),
+    categoryList: categories.length > 1 ? categories.map(c => `${categoryLabel(c)} (${categoryTerm(c, market.language)})`) : [],
+  }, promptId);
+  if (!genAI) return { queries: fallback, promptId: null };
+  try {
+    const model = genAI.getGenerativeModel({ model: 'gemini-2.5-flash' });
+    const resp = await usage.track('gemini', 'gemini-2.5-flash', () => model.generateContent(prompt), { purpose: 'queries', ref: id });
+    const text = resp.response.text();
+    const jsonText = (text.match(/\[([\s\S]*)\]/) || [])[0] || text;
+    const arr = JSON.parse(jsonText);
+    return Array.isArray(arr) && arr.length ? { queries: arr.map(String), promptId: id } : { queries: fallback, promptId: null };
+  } catch (e) {
+    if (e?.code === 'USAGE_QUOTA') throw e;
+    return { queries: fallback, promptId: null };
+  }
+}
+
+// --- Furniture taxonomy (config/taxonomy.json) ---
+// Categories carry a search term per language, the words that name them and word
+// stems for compound-word languages ("Stehleuchte", "soffbord"); rooms list the
+// categories a general request for that room is planned around.
+const TAXONOMY_CONFIG = process.env.TAXONOMY_CONFIG || 'config/taxonomy.json';
+const PLAN_MAX_CATEGORIES = Number(process.env.PLAN_MAX_CATEGORIES || 5);
+
+function loadTaxonomy(file = TAXONOMY_CONFIG) {
+  const lower = (list) => (Array.isArray(list) ? list : []).map(w => String(w).toLowerCase().trim()).filter(Boolean);
+  try {
+    const data = JSON.parse(readFileSync(file, 'utf8'));
+    const categories = {};
+    for (const [id, c] of Object.entries(data.categories || {})) {
+      const words = lower(c.words);
+      if (!words.length) continue;
+      categories[id] = { id, label: c.label || id, query: c.query || {}, words, stems: lower(c.stems) };
+    }
+    const rooms = (Array.isArray(data.rooms) ? data.rooms : [])
+      .filter(r => r?.id)
+      .map(r => ({ id: r.id, words: lower(r.words), categories: (r.categories || []).filter(c => categories[c]) }));
+    const defaultRoom = rooms.find(r => r.id === data.defaultRoom) || rooms[0] || null;
+    console.log('[TAXONOMY] loaded:', { categories: Object.keys(categories).length, rooms: rooms.length, defaultRoom: defaultRoom?.id || null });
+    return { categories, rooms, defaultRoom };
+  } catch (e) {
+    console.error('[TAXONOMY] failed to load', file, e?.message || e);
+    return { categories: {}, rooms: [], defaultRoom: null };
+  }
+}
+
+const taxonomy = loadTaxonomy();
+
+const escapeRegExp = (str) => String(str).replace(/[-/\\^$*+?.()|[\]{}]/g, '\\$&');
+
+// Words match whole (plurals allowed); Latin stems match the end of a word so
+// compounds count, other scripts (Japanese) match anywhere
+function phraseMatcher(phrase, stem = false) {
+  const body = escapeRegExp(phrase);
+  if (stem && !/^\p{Script=Latin}+$/u.test(phrase)) return new RegExp(body, 'gu');
+  const end = stem ? '(?:e|n|en|er|s|es|ar|or)?' : '(?:e?s)?';
+  return new RegExp(`${stem ? '' : '(?<![\\p{L}\\p{N}])'}${body}${end}(?![\\p{L}\\p{N}])`, 'gu');
+}
+
+// Longest first, so "table lamp" is a lamp and not also a table
+const CATEGORY_MATCHERS = Object.values(taxonomy.categories)
+  .flatMap(c => [
+    ...c.words.map(w => ({ type: c.id, re: phraseMatcher(w), len: w.length })),
+    ...c.stems.map(w => ({ type: c.id, re: phraseMatcher(w, true), len: w.length })),
+  ])
+  .sort((a, b) => b.len - a.len);
+
+// Category -> number of mentions; matched text is consumed so words are not counted twice
+function categoryHits(text) {
+  let rest = String(text || '').toLowerCase();
+  const hits = new Map();
+  for (const { type, re } of CATEGORY_MATCHERS) {
+    const n = (rest.match(re) || []).length;
+    if (!n) continue;
+    hits.set(type, (hits.get(type) || 0) + n);
+    rest = rest.replace(re, ' ');
+  }
+  return hits;
+}
+
+function categoriesIn(text) {
+  return [...categoryHits(text).keys()];
+}
+
+// Scores schema.org category over title over the start of the description
+function classifyProduct(p) {
+  const scores = new Map();
+  const add = (text, weight) => {
+    for (const [type, n] of categoryHits(text)) scores.set(type, (scores.get(type) || 0) + n * weight);
+  };
+  add(p?.category, 3);
+  add(p?.title, 2);
+  add(String(p?.description || '').slice(0, 280), 1);
+  const ranked = [...scores.entries()].sort((a, b) => b[1] - a[1]);
+  if (!ranked.length) return { category: null, confidence: 0 };
+  const sum = ranked.reduce((s, [, v]) => s + v, 0);
+  return { category: ranked[0][0], confidence: Math.round((ranked[0][1] / sum) * 100) / 100 };
+}
+
+// A classified product fills exactly one category
+function productCategories(p) {
+  if (p?.furnitureCategory) return [p.furnitureCategory];
+  return categoriesIn(`${p?.title || ''} ${p?.category || ''}`);
+}
+
+function categoryLabel(type) {
+  return taxonomy.categories[type]?.label || type;
+}
+
+// The retailer-facing search term for a category in the market language
+function categoryTerm(type, language = 'en') {
+  const c = taxonomy.categories[type];
+  if (!c) return type;
+  return c.query[language] || c.query.en || c.words[0];
+}
+
+function detectRoom(text) {
+  const s = String(text || '').toLowerCase();
+  let best = null;
+  for (const room of taxonomy.rooms) {
+    const n = room.words.reduce((sum, w) => sum + (s.match(phraseMatcher(w)) || []).length, 0);
+    if (n && (!best || n > best.n)) best = { room, n };
+  }
+  return best?.room || null;
+}
+
+function classifyIntent(idea) {
+  const categories = categoriesIn(idea);
+  const room = detectRoom(idea)?.id || null;
+  if (categories.length === 1) return { specific: categories[0], general: false, categories, room };
+  return { specific: null, general: true, categories, room };
+}
+
+// Categories a search is planned around: the specific product asked for, else the
+// categories named in the request followed by the room's (or the default room's) staples
+function planCategories(intent) {
+  if (intent?.specific) return [intent.specific];
+  const room = taxonomy.rooms.find(r => r.id === intent?.room) || taxonomy.defaultRoom;
+  return [...new Set([...(intent?.categories || []), ...(room?.categories || [])])].slice(0, PLAN_MAX_CATEGORIES);
+}
+
+async function searchProductsWithPSE({ query, limit = 6, sites = [], imageSearch = true, start = 1, market = null, usage = systemUsage }) {
+  const params = new URLSearchParams({
+    key: CSE_API_KEY,
+    cx: CSE_CX,
+    q: query,
+    num: String(Math.min(limit, 10)),
+    safe: 'active',
+  });
+  if (imageSearch) params.set('searchType', 'image');
+  if (market) {
+    params.set('gl', market.country.toLowerCase());
+    params.set('hl', market.language);
+  }
+  if (start && Number(start) > 1) params.set('start', String(start));
+  if (sites.length === 1) {
+    params.set('siteSearch', sites[0]);
+    params.set('siteSearchFilter', 'i');
+  } else if (sites.length > 1) {
+    params.set('q', `${query} ${sites.map(s => `site:${s}`).join(' OR ')}`);
+  }
+  const apiUrl = `https://www.googleapis.com/customsearch/v1?${params.toString()}`;
+  const safeParams = new URLSearchParams(params);
+  safeParams.delete('key');
+  console.log('[CSE] request:', { imageSearch, url: `https://www.googleapis.com/customsearch/v1?${safeParams.toString()}` });
+  const data = await usage.track('cse', 'customsearch/v1', async () => {
+    const apiResp = await fetchWithTimeout(apiUrl);
+    if (!apiResp.ok) {
+      const t = await apiResp.text();
+      throw new Error(`Custom Search API error: ${apiResp.status} ${t}`);
+    }
+    return apiResp.json();
+  }, { purpose: imageSearch ? 'image search' : 'web search' });
+  console.log('[CSE] query ok:', { query, count: Array.isArray(data.items) ? data.items.length : 0 });
+  const items = Array.isArray(data.items) ? data.items : [];
+  return items.map(it => ({
+    title: it.title,
+    imageUrl: imageSearch ? it.link : null,
+    pageUrl: imageSearch ? (it.image?.contextLink || it.link) : it.link,
+  }));
+}
+
+// --- Search providers ---
+// Every provider returns targets shaped like searchProductsWithPSE:
+// [{ title, imageUrl, pageUrl }], optionally with `html` when the page is already on hand.
+const QUERY_STOPWORDS = new Set(['buy', 'online', 'price', 'prices', 'sale', 'best', 'product', 'page', 'the', 'and', 'for', 'with', 'my', 'make']);
+
+function queryTerms(query) {
+  return String(query || '').toLowerCase().split(/[^\p{L}\p{N}]+/u)
+    .filter(w => (w.length > 2 || /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u.test(w)) && !QUERY_STOPWORDS.has(w));
+}
+
+// site is a domain with an optional path prefix, e.g. "ikea.com" or "ikea.com/de/de"
+function siteMatchesUrl(u, site) {
+  try {
+    const url = new URL(u);
+    const host = url.hostname.toLowerCase();
+    const [domain, ...rest] = String(site).toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').split('/');
+    if (host !== domain && !host.endsWith(`.${domain}`)) return false;
+    const prefix = rest.filter(Boolean).join('/');
+    return !prefix || url.pathname.toLowerCase().startsWith(`/${prefix}/`) || url.pathname.toLowerCase() === `/${prefix}`;
+  } catch { return false; }
+}
+
+let fixtureIndex = null;
+async function loadFixtureIndex() {
+  if (fixtureIndex) return fixtureIndex;
+  const raw = await readFile(path.join(FIXTURE_DIR, 'index.json'), 'utf8');
+  const data = JSON.parse(raw);
+  fixtureIndex = Array.isArray(data.items) ? data.items : [];
+  return fixtureIndex;
+}
+
+async function searchFixtures({ query, limit = 6, sites = [], start = 1 }) {
+  const items = await loadFixtureIndex();
+  const terms = queryTerms(query);
+  const scored = items
+    .filter(it => !sites.length || sites.some(s => siteMatchesUrl(it.pageUrl, s)))
+    .map(it => {
+      const hay = `${it.title || ''} ${(it.keywords || []).join(' ')}`.toLowerCase();
+      return { it, score: terms.filter(t => hay.includes(t)).length };
+    })
+    .filter(x => x.score > 0)
+    .sort((a, b) => b.score - a.score);
+  const offset = Math.max(0, Number(start || 1) - 1);
+  const page = scored.slice(offset, offset + Math.min(limit, 10));
+  console.log('[FIXTURE] query ok:', { query, count: page.length });
+  return Promise.all(page.map(async ({ it }) => ({
+    title: it.title,
+    imageUrl: it.imageUrl || null,
+    pageUrl: it.pageUrl,
+    html: it.page ? await readFile(path.join(FIXTURE_DIR, it.page), 'utf8').catch(() => null) : null,
+  })));
+}
+
+// Retailer sitemaps: discovered via robots.txt `Sitemap:` lines (or /sitemap.xml), cached per site
+const SITEMAP_TTL_MS = 6 * 60 * 60 * 1000;
+const SITEMAP_MAX_FILES = 25;
+const sitemapCache = new Map();
+
+async function fetchSitemapXml(url) {
+  const r = await politeFetch(url, {}, 10000);
+  if (!r.ok) return null;
+  const buf = Buffer.from(await r.arrayBuffer());
+  if (/\.gz(\?.*)?$/i.test(url)) {
+    try { return zlib.gunzipSync(buf).toString('utf8'); } catch { return null; }
+  }
+  return buf.toString('utf8');
+}
+
+async function sitemapEntriesFor(site) {
+  const host = String(site).toLowerCase().replace(/^www\./, '').split('/')[0];
+  const adapter = adapterForUrl(`https://${host}/`);
+  // the configured origin only stands in for the domain it belongs to (Wayfair has several)
+  const origin = adapter?.origin && siteMatchesUrl(adapter.origin, host) ? adapter.origin : `https://${host}`;
+  const cached = sitemapCache.get(origin);
+  if (cached && Date.now() - cached.at < SITEMAP_TTL_MS) return cached.entries;
+  // adapters may pin their sitemaps; otherwise discover them from robots.txt
+  let queue = adapter?.sitemaps.slice() || [];
+  if (!queue.length) {
+    try {
+      const r = await politeFetch(`${origin}/robots.txt`, {}, 4000);
+      if (r.ok) {
+        const txt = await r.text();
+        queue = robotsParser(`${origin}/robots.txt`, txt).getSitemaps();
+      }
+    } catch {}
+  }
+  if (!queue.length) queue = [`${origin}/sitemap.xml`];
+  const entries = [];
+  let files = 0;
+  while (queue.length && files < SITEMAP_MAX_FILES) {
+    const url = queue.shift();
+    files++;
+    let xml = null;
+    try { xml = await fetchSitemapXml(url); } catch (e) { console.warn('[SITEMAP] fetch failed', url, e?.message || e); }
+    if (!xml) continue;
+    const $ = loadHTML(xml, { xmlMode: true });
+    $('sitemap > loc').each((_, el) => { queue.push($(el).text().trim()); });
+    $('url').each((_, el) => {
+      const loc = $(el).children('loc').first().text().trim();
+      if (!loc) return;
+      const image = $(el).find('image\\:loc').first().text().trim() || null;
+      entries.push({ loc, image });
+    });
+  }
+  console.log('[SITEMAP] loaded:', { origin, files, entries: entries.length });
+  sitemapCache.set(origin, { at: Date.now(), entries });
+  return entries;
+}
+
+function isLikelyProductUrl(u) {
+  return matchesProductUrl(u) ?? !looksLikeCategoryUrl(u);
+}
+
+async function searchSitemaps({ query, limit = 6, sites = [], start = 1 }) {
+  const terms = queryTerms(query);
+  if (!sites.length || !terms.length) return [];
+  const scored = [];
+  for (const site of sites) {
+    const entries = await sitemapEntriesFor(site);
+    for (const e of entries) {
+      if (!siteMatchesUrl(e.loc, site) || !isLikelyProductUrl(e.loc)) continue;
+      // a malformed <loc> only loses that entry
+      let slug;
+      try { slug = decodeURIComponent(new URL(e.loc).pathname).toLowerCase(); } catch { continue; }
+      const score = terms.filter(t => slug.includes(t)).length;
+      if (score > 0) scored.push({ e, score });
+    }
+  }
+  scored.sort((a, b) => b.score - a.score);
+  const offset = Math.max(0, Number(start || 1) - 1);
+  const page = scored.slice(offset, offset + Math.min(limit, 10));
+  console.log('[SITEMAP] query ok:', { query, count: page.length });
+  return page.map(({ e }) => ({ title: null, imageUrl: e.image, pageUrl: e.loc }));
+}
+
+const searchProviders = {
+  cse: {
+    name: 'cse',
+    unavailableReason: () => (!CSE_API_KEY || !CSE_CX) ? 'Missing CSE_API_KEY or CSE_CX' : null,
+    search: searchProductsWithPSE,
+  },
+  sitemap: {
+    name: 'sitemap',
+    unavailableReason: () => null,
+    search: searchSitemaps,
+  },
+  fixture: {
+    name: 'fixture',
+    unavailableReason: () => existsSync(path.join(FIXTURE_DIR, 'index.json')) ? null : `Missing fixture index at ${path.join(FIXTURE_DIR, 'index.json')}`,
+    search: searchFixtures,
+  },
+};
+
+function resolveSearchProvider(name) {
+  const wanted = String(name || SEARCH_PROVIDER || ((CSE_API_KEY && CSE_CX) ? 'cse' : 'fixture')).toLowerCase();
+  const provider = searchProviders[wanted];
+  if (!provider) throw httpError(400, `Unknown search provider: ${wanted}`);
+  const reason = provider.unavailableReason();
+  if (reason) throw httpError(503, reason);
+  return provider;
+}
+
+// Extracted product for a page, or null when the page is not a usable product page
+function extractPageProduct(html, pageUrl, adapter) {
+  const product = extractSchemaProduct(html, pageUrl);
+  const fallback = extractFallbackMeta(html, pageUrl);
+  const merged = applyAdapterExtract(adapter, html, pageUrl, prefer(product, fallback));
+  // spec tables fill in what structured data leaves out
+  merged.dimensions = { ...extractSpecDimensions(html), ...(merged.dimensions || {}) };
+  // Skip obvious category/listing pages unless we positively detected a Product
+  if (!merged.isProduct && looksLikeCategoryUrl(pageUrl)) return null;
+  // Require price if no Product type (to avoid category pages with OG tags only)
+  if (!merged.isProduct && merged.price == null) return null;
+  return merged;
+}
+
+// Providers may hand over the page HTML directly (e.g. fixtures); otherwise read through the product cache
+async function readProductPage(t, adapter) {
+  if (t.html) return extractPageProduct(t.html, t.pageUrl, adapter);
+  const allowed = await robotsAllowed(t.pageUrl);
+  if (!allowed) return null;
+  return cachedFetch(productCache, t.pageUrl, {
+    ttlMs: (value) => value ? PRODUCT_CACHE_TTL_MS : PRODUCT_MISS_TTL_MS,
+    timeoutMs: 8000,
+    parse: async (r) => {
+      // transient failures are retried next time rather than cached
+      if (r.status === 429 || r.status >= 500) throw new Error(`HTTP ${r.status} for ${t.pageUrl}`);
+      const ct = r.headers.get('content-type') || '';
+      if (!r.ok || !ct.includes('text/html')) return null;
+      return extractPageProduct(await r.text(), t.pageUrl, adapter);
+    },
+  });
+}
+
+// --- Image analysis (fingerprint + colour palette) ---
+// One read per product image gives a 64-bit difference hash (two listings of a product
+// usually share the packshot) and its dominant colours and tone for style cohesion.
+const IMAGE_ANALYSIS_ENABLED = process.env.IMAGE_ANALYSIS !== 'false';
+const IMAGE_CACHE_TTL_MS = Number(process.env.IMAGE_CACHE_TTL_HOURS || 24 * 7) * HOUR_MS;
+const IMAGE_MAX_BYTES = 8 * 1024 * 1024;
+const PALETTE_SIZE = 5;
+const imageFeatureCache = createDiskCache('image-features-v1');
+
+async function differenceHash(img) {
+  const data = await img.greyscale().resize(9, 8, { fit: 'fill' }).raw().toBuffer();
+  let hash = 0n;
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) hash = (hash << 1n) | (data[y * 9 + x] > data[y * 9 + x + 1] ? 1n : 0n);
+  }
+  return hash.toString(16).padStart(16, '0');
+}
+
+function hashDistance(a, b) {
+  let x = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let bits = 0;
+  for (; x; x &= x - 1n) bits++;
+  return bits;
+}
+
+// sRGB (0-255) -> CIE L*a*b* (D65)
+function rgbToLab([r, g, b]) {
+  const lin = (c) => {
+    const v = c / 255;
+    return v <= 0.04045 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4;
+  };
+  const [R, G, B] = [lin(r), lin(g), lin(b)];
+  const f = (t) => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+  const x = f((R * 0.4124 + G * 0.3576 + B * 0.1805) / 0.95047);
+  const y = f(R * 0.2126 + G * 0.7152 + B * 0.0722);
+  const z = f((R * 0.0193 + G * 0.1192 + B * 0.9505) / 1.08883);
+  return [116 * y - 16, 500 * (x - y), 200 * (y - z)];
+}
+
+const hexToRgb = (hex) => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+const rgbToHex = (rgb) => `#${rgb.map(c => Math.round(c).toString(16).padStart(2, '0')).join('')}`;
+const deltaE = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+
+// Folds colours closer than `within` (ΔE) together, keeps the top `size` by share
+function condensePalette(entries, { size = PALETTE_SIZE, within = 12 } = {}) {
+  const merged = [];
+  for (const e of [...entries].sort((a, b) => b.share - a.share)) {
+    const lab = e.lab || rgbToLab(e.rgb || hexToRgb(e.hex));
+    const near = merged.find(m => deltaE(m.lab, lab) < within);
+    if (near) near.share += e.share;
+    else merged.push({ rgb: e.rgb || hexToRgb(e.hex), lab, share: e.share });
+  }
+  const top = merged.sort((a, b) => b.share - a.share).slice(0, size);
+  const total = top.reduce((s, e) => s + e.share, 0) || 1;
+  return top.map(e => ({ hex: rgbToHex(e.rgb), share: Math.round((e.share / total) * 100) / 100 }));
+}
+
+// Light/dark and warm/cool read off the palette's weighted L* and b*
+function paletteTone(palette) {
+  if (!palette?.length) return null;
+  let lightness = 0;
+  let warmth = 0;
+  let chroma = 0;
+  for (const { hex, share } of palette) {
+    const [L, a, b] = rgbToLab(hexToRgb(hex));
+    lightness += L * share;
+    warmth += b * share;
+    chroma += Math.hypot(a, b) * share;
+  }
+  const label = `${lightness > 65 ? 'light' : lightness < 40 ? 'dark' : 'mid'} ${warmth > 8 ? 'warm' : warmth < -2 ? 'cool' : 'neutral'}${chroma < 10 ? ' muted' : ''}`;
+  return { lightness: Math.round(lightness), warmth: Math.round(warmth), chroma: Math.round(chroma), label };
+}
+
+// Dominant colours of an image. Product shots sit on white, so near-white pixels are
+// treated as background unless they are most of the picture (or `keepBackground`).
+async function extractPalette(img, { keepBackground = false } = {}) {
+  const data = await img.flatten({ background: '#ffffff' }).resize(32, 32, { fit: 'inside' }).removeAlpha().raw().toBuffer();
+  const bins = new Map();
+  let background = 0;
+  for (let i = 0; i < data.length; i += 3) {
+    const rgb = [data[i], data[i + 1], data[i + 2]];
+    const isBackground = Math.min(...rgb) > 235 && Math.max(...rgb) - Math.min(...rgb) < 12;
+    if (isBackground) background++;
+    const key = isBackground ? -1 : ((rgb[0] >> 5) << 6) | ((rgb[1] >> 5) << 3) | (rgb[2] >> 5);
+    const bin = bins.get(key) || { sum: [0, 0, 0], n: 0, isBackground };
+    bin.sum = bin.sum.map((s, k) => s + rgb[k]);
+    bin.n++;
+    bins.set(key, bin);
+  }
+  const pixels = data.length / 3;
+  const dropBackground = !keepBackground && background < pixels * 0.9;
+  const entries = [...bins.values()]
+    .filter(b => !(dropBackground && b.isBackground))
+    .map(b => ({ rgb: b.sum.map(s => s / b.n), share: b.n }));
+  return entries.length ? condensePalette(entries) : null;
+}
+
+async function analyzeImage(buf, opts) {
+  const img = sharp(buf, { limitInputPixels: 40e6 });
+  const [hash, palette] = await Promise.all([differenceHash(img.clone()), extractPalette(img.clone(), opts)]);
+  return { hash, palette, tone: paletteTone(palette) };
+}
+
+// { hash, palette, tone } or null when the image cannot be read; /fixtures/ images are read from disk
+async function imageFeatures(url) {
+  if (!IMAGE_ANALYSIS_ENABLED || !url) return null;
+  try {
+    if (url.startsWith('/fixtures/')) {
+      const file = path.resolve('fixtures', `.${url.slice('/fixtures'.length)}`);
+      if (!file.startsWith(path.resolve('fixtures') + path.sep)) return null;
+      return await analyzeImage(await readFile(file));
+    }
+    if (!/^https?:\/\//i.test(url)) return null;
+    return await cachedFetch(imageFeatureCache, url, {
+      ttlMs: IMAGE_CACHE_TTL_MS,
+      parse: async (r) => {
+        if (r.status === 429 || r.status >= 500) throw new Error(`HTTP ${r.status} for ${url}`);
+        const ct = r.headers.get('content-type') || '';
+        if (!r.ok || !ct.startsWith('image/')) return null;
+        const buf = Buffer.from(await r.arrayBuffer());
+        return buf.length <= IMAGE_MAX_BYTES ? analyzeImage(buf) : null;
+      },
+    });
+  } catch (e) {
+    console.warn('[IMAGE] analysis failed:', url, e?.message || e);
+    return null;
+  }
+}
+
+async function hydrateProducts(targets, { market = null } = {}) {
+  const limit = pLimit(4);
+  const out = [];
+  await Promise.all(targets.map(t => limit(async () => {
+    if (!t.pageUrl) return;
+    // skip pages the retailer's adapter says are not product pages, or that belong to another market
+    if (matchesProductUrl(t.pageUrl) === false) return;
+    if (!matchesMarket(t.pageUrl, market)) return;
+    const adapter = adapterForUrl(t.pageUrl);
+    try {
+      const merged = await readProductPage(t, adapter);
+      if (!merged) return;
+      const productOut = {
+        source: new URL(t.pageUrl).hostname,
+        title: merged.name || t.title || null,
+        description: merged.description || null,
+        price: merged.price,
+        currency: merged.currency || adapterMarket(adapter, market)?.currency || adapter?.currency || market?.currency || null,
+        retailer: adapter?.id || null,
+        images: merged.images && merged.images.length ? merged.images : (t.imageUrl ? [t.imageUrl] : []),
+        url: merged.url || t.pageUrl,
+        isProduct: !!merged.isProduct,
+        priceRange: merged.priceRange || null,
+        availability: merged.availability || null,
+        inStock: merged.inStock ?? null,
+        rating: merged.rating || null,
+        sku: merged.sku || null,
+        gtin: merged.gtin || null,
+        mpn: merged.mpn || null,
+        brand: merged.brand || null,
+        category: merged.category || null,
+        color: merged.color || null,
+        material: merged.material || null,
+        dimensions: merged.dimensions || {},
+        properties: merged.properties || {},
+        variants: merged.variants || [],
+      };
+      if (!productOut.title || productOut.price == null || !productOut.images?.length) return;
+      const { category: furnitureCategory, confidence } = classifyProduct(productOut);
+      productOut.furnitureCategory = furnitureCategory;
+      productOut.categoryConfidence = confidence;
+      productOut.sizeCm = productSizeCm(productOut);
+      const features = await imageFeatures(productOut.images[0]);
+      productOut.imageHash = features?.hash || null;
+      productOut.palette = features?.palette || null;
+      productOut.tone = features?.tone || null;
+      out.push(productOut);
+    } catch (e) {
+      console.warn('[HYDRATE] failed:', t.pageUrl, e?.message || e);
+    }
+  })));
+  // de-dupe by url (tracking parameters stripped); listings of one product on
+  // several URLs or retailers are merged later by mergeOffers
+  const seen = new Set();
+  return out.filter(p => {
+    const key = canonicalProductUrl(p.url);
+    if (!key) return false;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// Flatten a hydrated product into the record /api/products returns.
+// `price`/`currency` stay as listed by the retailer; `convertedPrice` is in `displayCurrency`.
+function normalizeProduct(p, { displayCurrency = 'USD' } = {}) {
+  const price = typeof p.price === 'number' ? p.price : null;
+  // pages without a currency are assumed to be priced in the display currency
+  const currency = p.currency || null;
+  return {
+    title: p.title,
+    description: p.description,
+    price,
+    currency,
+    convertedPrice: convertCurrency(price, currency || displayCurrency, displayCurrency),
+    displayCurrency,
+    priceRange: p.priceRange || null,
+    image: p.images?.[0] || null,
+    url: p.url,
+    source: p.source,
+    retailer: p.retailer || null,
+    availability: p.availability || null,
+    inStock: p.inStock ?? null,
+    rating: p.rating || null,
+    sku: p.sku || null,
+    gtin: p.gtin || null,
+    mpn: p.mpn || null,
+    brand: p.brand || null,
+    category: p.category || null,
+    furnitureCategory: p.furnitureCategory || null,
+    categoryConfidence: p.categoryConfidence ?? null,
+    color: p.color || null,
+    material: p.material || null,
+    dimensions: p.dimensions || {},
+    sizeCm: p.sizeCm || null,
+    variants: p.variants || [],
+    imageHash: p.imageHash || null,
+    palette: p.palette || null,
+    tone: p.tone || null,
+  };
+}
+
+// --- Product identity (one product, several retailers or URLs) ---
+// Records are the same product when a GTIN, a retailer's SKU or brand + SKU/MPN agree,
+// when one is a variant of the other's product group, when their titles match once
+// brand and filler words are dropped, or when the titles are close and the images
+// look alike. Differing GTINs, SKUs on one retailer, brands or colours keep records apart.
+const TITLE_MATCH = 0.85;
+const TITLE_WITH_IMAGE_MATCH = 0.5;
+const IMAGE_MATCH_BITS = 8;
+const MATCH_MAX_PRICE_RATIO = 3;
+const TITLE_STOPWORDS = new Set(['a', 'an', 'and', 'the', 'in', 'of', 'for', 'with', 'by', 'to', 'set', 'finish', 'new', 'und', 'mit', 'et', 'avec', 'y', 'con', 'e', 'och', 'med', 'en']);
+// tracking parameters that do not change which product a URL points to
+const TRACKING_PARAMS = /^(?:utm_.*|gclid|fbclid|msclkid|srsltid|ref|ref_|cid|icid|clickid|trk)$/i;
+
+function canonicalProductUrl(u) {
+  try {
+    const url = new URL(u);
+    url.hash = '';
+    url.hostname = url.hostname.toLowerCase();
+    for (const key of [...url.searchParams.keys()]) if (TRACKING_PARAMS.test(key)) url.searchParams.delete(key);
+    if (url.pathname.length > 1) url.pathname = url.pathname.replace(/\/+$/, '');
+    return url.toString();
+  } catch { return u || null; }
+}
+
+function normalizeGtin(v) {
+  const digits = String(v || '').replace(/\D/g, '');
+  return [8, 12, 13, 14].includes(digits.length) ? digits.padStart(14, '0') : null;
+}
+
+const normalizeCode = (v) => String(v || '').toLowerCase().replace(/[^\p{L}\p{N}]/gu, '') || null;
+
+function titleWords(text) {
+  return String(text || '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+// Comparison keys, computed once per record
+function identityOf(p) {
+  const noise = new Set([...titleWords(p.brand), ...titleWords(adapterById(p.retailer)?.name), p.retailer]);
+  return {
+    url: canonicalProductUrl(p.url),
+    gtin: normalizeGtin(p.gtin),
+    sku: normalizeCode(p.sku),
+    mpn: normalizeCode(p.mpn),
+    brand: normalizeCode(p.brand),
+    color: normalizeCode(p.color),
+    // a product group page lists its variants' SKUs
+    variantSkus: new Set((p.variants || []).map(v => normalizeCode(v.sku)).filter(Boolean)),
+    words: new Set(titleWords(p.title).filter(w => !TITLE_STOPWORDS.has(w) && !noise.has(w))),
+  };
+}
+
+function titleSimilarity(a, b) {
+  if (a.size < 2 || b.size < 2) return 0;
+  let shared = 0;
+  for (const w of a) if (b.has(w)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+function sameProduct(a, b, ka = identityOf(a), kb = identityOf(b)) {
+  if (ka.url && ka.url === kb.url) return true;
+  if (ka.gtin && kb.gtin) return ka.gtin === kb.gtin;
+  if (a.retailer === b.retailer && ((ka.sku && kb.variantSkus.has(ka.sku)) || (kb.sku && ka.variantSkus.has(kb.sku)))) return true;
+  if (a.retailer && a.retailer === b.retailer && ka.sku && kb.sku) return ka.sku === kb.sku;
+  if (ka.brand && kb.brand && ka.brand !== kb.brand) return false;
+  if (ka.brand && ka.brand === kb.brand && ((ka.sku && ka.sku === kb.sku) || (ka.mpn && ka.mpn === kb.mpn))) return true;
+  if (ka.color && kb.color && ka.color !== kb.color) return false;
+  if (a.furnitureCategory && b.furnitureCategory && a.furnitureCategory !== b.furnitureCategory) return false;
+  if (a.convertedPrice > 0 && b.convertedPrice > 0
+    && Math.max(a.convertedPrice, b.convertedPrice) / Math.min(a.convertedPrice, b.convertedPrice) > MATCH_MAX_PRICE_RATIO) return false;
+  const sim = titleSimilarity(ka.words, kb.words);
+  if (sim >= TITLE_MATCH) return true;
+  return sim >= TITLE_WITH_IMAGE_MATCH && !!a.imageHash && !!b.imageHash && hashDistance(a.imageHash, b.imageHash) <= IMAGE_MATCH_BITS;
+}
+
+function offerOf(p) {
+  return {
+    retailer: p.retailer || null,
+    retailerName: adapterById(p.retailer)?.name || p.source || null,
+    source: p.source,
+    url: p.url,
+    title: p.title,
+    price: p.price,
+    currency: p.currency,
+    convertedPrice: p.convertedPrice,
+    displayCurrency: p.displayCurrency,
+    priceRange: p.priceRange,
+    availability: p.availability,
+    inStock: p.inStock,
+    image: p.image,
+  };
+}
+
+// cheapest in-stock first, unpriced last
+function compareOffers(a, b) {
+  const stock = (p) => (p.inStock === false ? 1 : 0);
+  const price = (p) => (p.convertedPrice > 0 ? p.convertedPrice : Infinity);
+  return stock(a) - stock(b) || price(a) - price(b);
+}
+
+// Merges duplicate records into one per product. Each record shows its cheapest in-stock
+// offer and lists every offer (that one first) in `offers`.
+function mergeOffers(records) {
+  const keys = records.map(identityOf);
+  const parent = records.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  for (let i = 0; i < records.length; i++) {
+    for (let j = i + 1; j < records.length; j++) {
+      if (find(i) === find(j)) continue;
+      if (sameProduct(records[i], records[j], keys[i], keys[j])) parent[find(j)] = find(i);
+    }
+  }
+  const groups = new Map();
+  records.forEach((p, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(p);
+  });
+  return [...groups.values()].map(group => {
+    const sorted = [...group].sort(compareOffers);
+    const seenUrl = new Set();
+    const offers = sorted.filter(p => {
+      const key = canonicalProductUrl(p.url) || `img:${p.image}`;
+      if (seenUrl.has(key)) return false;
+      seenUrl.add(key);
+      return true;
+    }).map(offerOf);
+    const [best] = sorted;
+    const pick = (field) => best[field] ?? sorted.find(p => p[field] != null)?.[field] ?? null;
+    return {
+      ...best,
+      description: pick('description'),
+      gtin: pick('gtin'),
+      brand: pick('brand'),
+      rating: pick('rating'),
+      sizeCm: pick('sizeCm'),
+      offers,
+    };
+  });
+}
+
+// --- Style cohesion ---
+// Palettes are compared by the share-weighted ΔE from each colour to the nearest colour
+// of the other palette. Products are scored against the room photo and the overall look
+// of the results, and again against the rest of their tier once it is assembled.
+const PALETTE_MAX_DISTANCE = 50;
+// cohesion below this is a clash: the item is only used when nothing else fits
+const STYLE_CLASH = 0.35;
+
+function paletteSimilarity(a, b) {
+  if (!a?.length || !b?.length) return null;
+  const labs = (palette) => palette.map(e => ({ lab: rgbToLab(hexToRgb(e.hex)), share: e.share }));
+  const la = labs(a);
+  const lb = labs(b);
+  const toward = (x, y) => x.reduce((s, c) => s + c.share * Math.min(...y.map(d => deltaE(c.lab, d.lab))), 0);
+  const distance = (toward(la, lb) + toward(lb, la)) / 2;
+  return Math.round(Math.max(0, 1 - distance / PALETTE_MAX_DISTANCE) * 100) / 100;
+}
+
+// Equal-weight union of palettes, e.g. everything in a tier
+function mergePalettes(palettes) {
+  const list = palettes.filter(p => p?.length);
+  if (!list.length) return null;
+  return condensePalette(list.flatMap(p => p.map(e => ({ hex: e.hex, share: e.share / list.length }))));
+}
+
+// Mean similarity to the reference palettes that exist; null when there are none
+function cohesionScore(palette, references) {
+  const sims = references.map(ref => paletteSimilarity(palette, ref)).filter(v => v != null);
+  return sims.length ? Math.round((sims.reduce((a, b) => a + b, 0) / sims.length) * 100) / 100 : null;
+}
+
+// Palette of the room photo: `roomImageDataUrl` when given, else the project's photo
+async function roomPaletteFor(input) {
+  if (!IMAGE_ANALYSIS_ENABLED) return null;
+  try {
+    let buf = null;
+    const m = typeof input?.roomImageDataUrl === 'string' ? input.roomImageDataUrl.match(/^data:image\/[\w.+-]+;base64,(.+)$/) : null;
+    if (m) buf = Buffer.from(m[1], 'base64');
+    else if (input?.projectId && PROJECT_ID_RE.test(String(input.projectId))) {
+      const file = projectStore.roomPath(await projectStore.get(input.projectId));
+      if (file) buf = await readFile(file);
+    }
+    return buf ? await extractPalette(sharp(buf, { limitInputPixels: 40e6 }), { keepBackground: true }) : null;
+  } catch (e) {
+    console.warn('[STYLE] room palette failed:', e?.message || e);
+    return null;
+  }
+}
+
+// Swaps picks that clash with the rest of the tier (and the room) for a better-matching
+// candidate of the same category, as long as the total stays within the tier's range
+function harmonizeBundle(best, slots, { min, max }, roomPalette) {
+  let picks = best.picks;
+  let total = best.total;
+  const tierCohesion = (p, others) => cohesionScore(p.palette, [roomPalette, mergePalettes(others.map(o => o.palette))]);
+  for (let i = 0; i < picks.length; i++) {
+    const others = picks.filter((_, k) => k !== i);
+    const current = tierCohesion(picks[i], others);
+    if (current == null || current >= STYLE_CLASH) continue;
+    const slot = slots.find(sl => sl.name === picks[i].bundleCategory);
+    const floor = total >= min ? min : 0;
+    let swap = null;
+    for (const q of slot?.items || []) {
+      const next = total - picks[i].convertedPrice + q.convertedPrice;
+      if (next > max || next < floor) continue;
+      const score = tierCohesion(q, others);
+      if (score != null && score >= current + 0.1 && (!swap || score > swap.score)) swap = { q, score, next };
+    }
+    if (!swap) continue;
+    picks = picks.map((p, k) => (k === i ? { ...swap.q, bundleCategory: p.bundleCategory } : p));
+    total = swap.next;
+  }
+  picks = picks.map((p, i) => ({ ...p, tierCohesion: tierCohesion(p, picks.filter((_, k) => k !== i)) }));
+  return { ...best, picks, total };
+}
+
+// --- Room fit (room, wall and free floor dimensions) ---
+// The space comes from the request (`space`) or is the one saved on the project.
+// Footprints are checked against the free floor area (else the room floor) in either
+// orientation and heights against the ceiling; pieces that stand against a wall must
+// also fit its width, and wall-hung ones its width and height.
+const SPACE_UNITS = { cm: 1, m: 100, in: 2.54, ft: 30.48 };
+const SPACE_FIELDS = { room: ['width', 'depth', 'height'], wall: ['width', 'height'], free: ['width', 'depth'] };
+const FIT_MODES = ['filter', 'flag'];
+// above this share of a limit an item is a tight fit
+const FIT_TIGHT = 0.9;
+const WALL_CATEGORIES = new Set(['couch', 'shelf', 'storage', 'dresser', 'bed', 'desk']);
+const WALL_MOUNTED = new Set(['art', 'mirror', 'curtain']);
+
+// { unit, room: { width, depth, height }, wall: { width, height }, free: { width, depth } }
+// in any of SPACE_UNITS -> the same in cm (`unit: 'cm'`); null when nothing is given
+function parseSpace(raw) {
+  if (raw == null || raw === '') return null;
+  if (typeof raw !== 'object' || Array.isArray(raw)) throw httpError(400, 'space must be { unit, room, wall, free }');
+  const factor = SPACE_UNITS[String(raw.unit || 'cm').toLowerCase()];
+  if (!factor) throw httpError(400, `Unsupported space unit: ${raw.unit} (expected ${Object.keys(SPACE_UNITS).join(', ')})`);
+  const out = {};
+  for (const [part, axes] of Object.entries(SPACE_FIELDS)) {
+    if (raw[part] == null) continue;
+    if (typeof raw[part] !== 'object') throw httpError(400, `space.${part} must be an object`);
+    const dims = {};
+    for (const axis of axes) {
+      const value = raw[part][axis];
+      if (value == null || value === '') continue;
+      const n = Number(value);
+      if (!Number.isFinite(n) || n <= 0) throw httpError(400, `space.${part}.${axis} must be a positive number`);
+      dims[axis] = Math.round(n * factor * 10) / 10;
+    }
+    if (Object.keys(dims).length) out[part] = dims;
+  }
+  return Object.keys(out).length ? { unit: 'cm', ...out } : null;
+}
+
+// `space: null` in the request clears it for that search
+async function spaceFor(input) {
+  if (input && 'space' in input) return parseSpace(input.space);
+  if (!input?.projectId || !PROJECT_ID_RE.test(String(input.projectId))) return null;
+  return (await projectStore.get(String(input.projectId)))?.space || null;
+}
+
+// { status: fits | tight | too-big | unknown, reasons } for a record with `sizeCm`;
+// null without a space to check against
+function checkFit(p, space) {
+  if (!space) return null;
+  const size = p?.sizeCm;
+  if (!size) return { status: 'unknown', reasons: ['no dimensions listed'] };
+  const checks = [];
+  const check = (what, need, limit) => {
+    if (need && limit) checks.push({ what, need: `${need}`, limit: `${limit}`, ratio: need / limit });
+  };
+  if (WALL_MOUNTED.has(p.furnitureCategory)) {
+    check('width vs wall', size.width, space.wall?.width ?? space.room?.width);
+    check('height vs wall', size.height, space.wall?.height ?? space.room?.height);
+  } else {
+    const floor = space.free || space.room;
+    const { width: w = 0, depth: d = 0 } = size;
+    if (floor && (floor.width || floor.depth) && (w || d)) {
+      const over = (a, b) => Math.max(floor.width ? a / floor.width : 0, floor.depth ? b / floor.depth : 0);
+      checks.push({
+        what: space.free ? 'footprint vs free area' : 'footprint vs floor',
+        need: `${w || '?'} × ${d || '?'}`,
+        limit: `${floor.width ?? '?'} × ${floor.depth ?? '?'}`,
+        ratio: Math.min(over(w, d), over(d, w)),
+      });
+    }
+    check('height vs ceiling', size.height, space.room?.height);
+    if (WALL_CATEGORIES.has(p.furnitureCategory)) check('width vs wall', size.width, space.wall?.width);
+  }
+  if (!checks.length) return { status: 'unknown', reasons: ['no matching room dimensions'] };
+  const worst = Math.max(...checks.map(c => c.ratio));
+  const status = worst > 1 ? 'too-big' : worst > FIT_TIGHT ? 'tight' : 'fits';
+  const reasons = checks.filter(c => c.ratio > FIT_TIGHT).map(c => `${c.what}: ${c.need} cm of ${c.limit} cm`);
+  return { status, reasons };
+}
+
+// Scale sentence appended to a compose prompt. `sizes` follow the product images, which
+// come after the room photo (image 1).
+function sizeHintPrompt(sizes, space) {
+  const describe = ({ width, depth, height }, tall = 'tall') => [
+    width && `${width} cm wide`, depth && `${depth} cm deep`, height && `${height} cm ${tall}`,
+  ].filter(Boolean).join(', ');
+  const lines = [];
+  if (space?.room && describe(space.room)) lines.push(`The room is ${describe(space.room, 'high')}.`);
+  (Array.isArray(sizes) ? sizes : []).forEach((s, i) => {
+    const text = s && typeof s === 'object' ? describe(s) : '';
+    if (text) lines.push(`The product in image ${i + 2}${s.title ? ` (${String(s.title).slice(0, 80)})` : ''} is ${text}.`);
+  });
+  return lines.length ? ` Keep real-world scale: ${lines.join(' ')}` : '';
+}
+
+// --- Ranking (config/ranking.json) ---
+// Scores every product between hydration and tier assembly. Each signal returns a value
+// in 0..1 and a short note; the weighted sum is the product's `score` and the per-signal
+// breakdown is its `scoreExplanation`. Add a signal here and give it a weight to use it.
+const RANKING_CONFIG = process.env.RANKING_CONFIG || 'config/ranking.json';
+const RANKING_STOPWORDS = new Set([...TITLE_STOPWORDS, 'my', 'our', 'make', 'want', 'need', 'buy', 'online', 'price', 'sale', 'best', 'cheap', 'product', 'page', 'room', 'new']);
+
+function loadRankingConfig(file = RANKING_CONFIG) {
+  const defaults = { weights: { relevance: 0.3, rating: 0.15, priceFit: 0.2, availability: 0.15, retailer: 0.05, style: 0.15 }, rating: { priorMean: 3.5, priorReviews: 20 }, priceFit: { tolerance: 3 }, retailers: {} };
+  try {
+    const data = JSON.parse(readFileSync(file, 'utf8'));
+    const config = {
+      weights: { ...defaults.weights, ...(data.weights || {}) },
+      rating: { ...defaults.rating, ...(data.rating || {}) },
+      priceFit: { ...defaults.priceFit, ...(data.priceFit || {}) },
+      retailers: data.retailers || {},
+    };
+    console.log('[RANKING] loaded weights:', config.weights);
+    return config;
+  } catch (e) {
+    console.error('[RANKING] failed to load', file, e?.message || e);
+    return defaults;
+  }
+}
+
+const rankingConfig = loadRankingConfig();
+
+const RANKING_SIGNALS = {
+  // planned category plus the best word overlap with any search query
+  relevance(p, ctx) {
+    const words = new Set(titleWords(`${p.title || ''} ${p.category || ''}`));
+    let overlap = 0;
+    for (const terms of ctx.queryTerms) {
+      if (terms.length) overlap = Math.max(overlap, terms.filter(t => words.has(t)).length / terms.length);
+    }
+    const category = p.furnitureCategory || productCategories(p)[0] || null;
+    const planned = !!category && ctx.needed.includes(category);
+    const value = (planned ? 0.6 : 0) + 0.4 * Math.min(1, overlap * 2);
+    return { value, note: `${planned ? `planned ${category}` : category ? `unplanned ${category}` : 'uncategorized'}, ${Math.round(overlap * 100)}% query overlap` };
+  },
+  // average rating shrunk toward a prior so a handful of reviews cannot top the list
+  rating(p, ctx) {
+    const r = p.rating;
+    if (!r || r.value == null) return { value: ctx.rating.priorMean / 5, note: 'no rating' };
+    const best = r.best || 5;
+    const n = r.count || 0;
+    const value = ((r.value / best) * 5 * n + ctx.rating.priorMean * ctx.rating.priorReviews) / (n + ctx.rating.priorReviews) / 5;
+    return { value, note: `${r.value}/${best} from ${n} review${n === 1 ? '' : 's'}` };
+  },
+  // log distance from the per-item target, zero at `tolerance`x off
+  priceFit(p, ctx) {
+    const target = ctx.targetFor(p);
+    if (!target || !(p.convertedPrice > 0)) return { value: 0.5, note: 'no target price' };
+    const off = Math.abs(Math.log(p.convertedPrice / target)) / Math.log(ctx.priceFit.tolerance);
+    return { value: Math.max(0, 1 - off), note: `${p.convertedPrice} vs target ${roundMoney(target)} ${ctx.displayCurrency}` };
+  },
+  availability(p) {
+    if (p.inStock === true) return { value: 1, note: 'in stock' };
+    if (p.inStock === false) return { value: 0, note: 'out of stock' };
+    return { value: 0.6, note: 'availability unknown' };
+  },
+  // config `retailers` override, else earlier in config/retailers.json ranks higher
+  retailer(p, ctx) {
+    const configured = ctx.retailers[p.retailer];
+    if (typeof configured === 'number') return { value: Math.max(0, Math.min(1, configured)), note: `${p.retailer} (configured)` };
+    const idx = retailerAdapters.findIndex(a => a.id === p.retailer);
+    if (idx < 0) return { value: 0.5, note: 'unknown retailer' };
+    return { value: 1 - (idx / Math.max(1, retailerAdapters.length)) * 0.5, note: `${p.retailer} (#${idx + 1} in priority)` };
+  },
+  style(p) {
+    if (p.cohesion == null) return { value: 0.5, note: 'no palette' };
+    return { value: p.cohesion, note: `${Math.round(p.cohesion * 100)}% palette cohesion` };
+  },
+};
+
+// Config weights overridden by the request's `ranking.weights`; unknown signals are dropped
+function rankingWeights(override) {
+  const merged = { ...rankingConfig.weights, ...(override && typeof override === 'object' ? override : {}) };
+  return Object.fromEntries(Object.entries(merged)
+    .filter(([name, w]) => RANKING_SIGNALS[name] && Number.isFinite(Number(w)) && Number(w) >= 0)
+    .map(([name, w]) => [name, Number(w)]));
+}
+
+// Adds `cohesion`, `score` and `scoreExplanation` to every record, best first
+function rankProducts(records, { queries = [], needed = [], budget = null, displayCurrency = 'USD', roomPalette = null, weights = rankingWeights() } = {}) {
+  const priced = records.filter(p => p.convertedPrice > 0);
+  const resultsPalette = mergePalettes(priced.map(p => p.palette));
+  // per-item target: the Mid share of the budget split over the planned categories,
+  // else the median price of the product's category
+  const byCategory = new Map();
+  for (const p of priced) {
+    const c = p.furnitureCategory || '';
+    if (!byCategory.has(c)) byCategory.set(c, []);
+    byCategory.get(c).push(p.convertedPrice);
+  }
+  const median = (list) => [...list].sort((a, b) => a - b)[Math.floor(list.length / 2)];
+  const perItem = Number(budget) > 0 ? (Number(budget) * BUNDLE_TARGETS.mid.target) / Math.max(1, needed.length) : null;
+  const ctx = {
+    queryTerms: queries.map(q => [...new Set(titleWords(q).filter(w => !RANKING_STOPWORDS.has(w)))]),
+    needed,
+    displayCurrency,
+    rating: rankingConfig.rating,
+    priceFit: rankingConfig.priceFit,
+    retailers: rankingConfig.retailers,
+    targetFor: (p) => perItem || (byCategory.get(p.furnitureCategory || '') ? median(byCategory.get(p.furnitureCategory || '')) : null),
+  };
+  const totalWeight = Object.values(weights).reduce((a, b) => a + b, 0) || 1;
+  return records.map(p => {
+    const scoredP = { ...p, cohesion: cohesionScore(p.palette, [roomPalette, resultsPalette]) };
+    const explanation = Object.entries(weights).map(([signal, weight]) => {
+      const { value, note } = RANKING_SIGNALS[signal](scoredP, ctx);
+      const v = Math.round(Math.max(0, Math.min(1, value)) * 100) / 100;
+      return { signal, value: v, weight, points: Math.round((v * weight / totalWeight) * 1000) / 1000, note };
+    }).sort((a, b) => b.points - a.points);
+    const score = Math.round(explanation.reduce((s, e) => s + e.points, 0) * 1000) / 1000;
+    return { ...scoredP, score, scoreExplanation: explanation };
+  }).sort((a, b) => b.score - a.score);
+}
+
+// --- Bundle optimizer ---
+// The budget is a total for the room: each tier is a bundle with at most one item
+// per planned category whose total lands in a fraction of that budget.
+const BUNDLE_TARGETS = {
+  low: { min: 0.4, target: 0.5, max: 0.6 },
+  mid: { min: 0.6, target: 0.75, max: 0.85 },
+  high: { min: 0.85, target: 0.95, max: 1.0 },
+};
+const BUNDLE_CANDIDATES_PER_CATEGORY = 12;
+// of those, how many are simply the best ranked; the rest span the price range
+const BUNDLE_TOP_RANKED = 6;
+// a specific (single-category) request lists up to this many in-range choices per tier
+const BUNDLE_SPECIFIC_CHOICES = 3;
+// weight of the items' ranking score against closeness to the budget target
+const BUNDLE_SCORE_WEIGHT = 0.5;
+const BUNDLE_BUCKETS = 400;
+const roundMoney = (n) => Math.round(n * 100) / 100;
+
+// Cap each category's candidates: the best ranked, plus a spread from cheapest to
+// priciest so every tier's budget range stays reachable
+function spreadCandidates(items) {
+  const sorted = [...items].sort((a, b) => a.convertedPrice - b.convertedPrice);
+  if (sorted.length <= BUNDLE_CANDIDATES_PER_CATEGORY) return sorted;
+  const top = [...items].sort((a, b) => (b.score ?? 0) - (a.score ?? 0)).slice(0, BUNDLE_TOP_RANKED);
+  const rest = sorted.filter(p => !top.includes(p));
+  const spread = BUNDLE_CANDIDATES_PER_CATEGORY - top.length;
+  const stepSize = (rest.length - 1) / (spread - 1);
+  const picked = Array.from({ length: spread }, (_, i) => rest[Math.round(i * stepSize)]);
+  return [...new Set([...top, ...picked])].sort((a, b) => a.convertedPrice - b.convertedPrice);
+}
+
+// Multiple-choice knapsack over price buckets: at most one item per slot, total <= max.
+// Prefers more categories covered, then a total inside [min, max], then closeness to
+// target combined with the items' ranking scores.
+function optimizeBundle(slots, { min, target, max }) {
+  const step = max / BUNDLE_BUCKETS;
+  const better = (a, b) => !b || a.count > b.count
+    || (a.count === b.count && (a.inStock > b.inStock || (a.inStock === b.inStock && a.score > b.score)));
+  let states = new Map([[0, { count: 0, inStock: 0, score: 0, total: 0, picks: [] }]]);
+  for (const { name, items } of slots) {
+    const next = new Map(states);
+    for (const state of states.values()) {
+      for (const p of items) {
+        const total = state.total + p.convertedPrice;
+        if (total > max) continue;
+        const bucket = Math.round(total / step);
+        const cand = {
+          count: state.count + 1,
+          inStock: state.inStock + (p.inStock === false ? 0 : 1),
+          score: state.score + (p.score ?? 0.5),
+          total,
+          picks: [...state.picks, { ...p, bundleCategory: name }],
+        };
+        if (better(cand, next.get(bucket))) next.set(bucket, cand);
+      }
+    }
+    states = next;
+  }
+  const fits = (st) => (st.total >= min ? 1 : 0);
+  const rank = (st) => -Math.abs(st.total - target) / (max - min || max) + BUNDLE_SCORE_WEIGHT * (st.count ? st.score / st.count : 0);
+  const pool = [...states.values()];
+  pool.sort((a, b) => b.count - a.count || fits(b) - fits(a) || rank(b) - rank(a));
+  return { ...pool[0], inRange: fits(pool[0]) === 1 };
+}
+
+// Builds Low/Mid/High bundles from ranked records (see rankProducts). Without a budget,
+// one is estimated so the Mid bundle lands on the median price of each category.
+function bundleProducts(records, { budget, needed = [], fallbackBands, roomPalette = null }) {
+  const priced = records.filter(p => p.convertedPrice != null && p.convertedPrice > 0).sort((a, b) => a.convertedPrice - b.convertedPrice);
+  const avg = priced.length ? priced.reduce((s, p) => s + p.convertedPrice, 0) / priced.length : null;
+  // a single slot takes any product (specific request, or nothing categorizable)
+  let slotNames = needed.length > 1 ? needed : [];
+  if (!needed.length) {
+    const counts = new Map();
+    for (const p of priced) for (const c of productCategories(p)) counts.set(c, (counts.get(c) || 0) + 1);
+    slotNames = [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([c]) => c).slice(0, PLAN_MAX_CATEGORIES);
+  }
+  const inCategory = (name) => priced.filter(p => productCategories(p).includes(name));
+  const single = needed[0] || slotNames[0] || null;
+  // a specific request keeps unclassified products as candidates when none matched
+  const slots = slotNames.length > 1
+    ? slotNames.map(name => ({ name, items: inCategory(name) }))
+    : [{ name: single, items: single && inCategory(single).length ? inCategory(single) : priced }];
+  for (const slot of slots) {
+    const inStock = slot.items.filter(p => p.inStock !== false);
+    const pool = inStock.length ? inStock : slot.items;
+    const cohesive = pool.filter(p => p.cohesion == null || p.cohesion >= STYLE_CLASH);
+    slot.items = spreadCandidates(cohesive.length ? cohesive : pool);
+  }
+
+  let total = Number(budget) > 0 ? Number(budget) : null;
+  const estimated = !total;
+  if (!total) {
+    const medians = slots.filter(sl => sl.items.length).map(sl => sl.items[Math.floor(sl.items.length / 2)].convertedPrice);
+    total = medians.length ? roundMoney(medians.reduce((a, b) => a + b, 0) / BUNDLE_TARGETS.mid.target) : null;
+  }
+  const empty = { priced, avg, budget: total, budgetEstimated: estimated, low: [], mid: [], high: [], bundles: null };
+  if (!total || !priced.length) return { ...empty, bands: fallbackBands };
+
+  const bands = {};
+  const bundles = {};
+  const result = { ...empty };
+  // the most and least any bundle can add up to with these candidates; a range outside
+  // that can't be met by picking differently, only by finding other products
+  const filled = slots.filter(sl => sl.items.length);
+  const most = filled.reduce((sum, sl) => sum + sl.items[sl.items.length - 1].convertedPrice, 0);
+  const least = Math.min(...filled.map(sl => sl.items[0].convertedPrice));
+  const specific = slots.length === 1;
+  let previousLead = null;
+  for (const [tier, frac] of Object.entries(BUNDLE_TARGETS)) {
+    const range = { min: roundMoney(total * frac.min), target: roundMoney(total * frac.target), max: roundMoney(total * frac.max) };
+    let best = harmonizeBundle(optimizeBundle(slots, range), slots, range, roomPalette);
+    // with nothing in range, a single pick tends to repeat the tier below; the candidate
+    // nearest the range that isn't that one (and costs no less) is offered instead
+    if (specific && !best.inRange && previousLead && best.picks[0]?.url === previousLead.url) {
+      const distance = (p) => Math.max(range.min - p.convertedPrice, p.convertedPrice - range.max, 0);
+      const [other] = slots[0].items
+        .filter(p => p.url !== previousLead.url && p.convertedPrice >= previousLead.convertedPrice)
+        .sort((a, b) => distance(a) - distance(b));
+      if (other) {
+        const pick = { ...other, bundleCategory: slots[0].name, tierCohesion: cohesionScore(other.palette, [roomPalette]) };
+        best = { ...best, total: other.convertedPrice, inRange: false, picks: [pick] };
+      }
+    }
+    previousLead = best.picks[0] || null;
+    let picks = best.picks;
+    // one item is the whole bundle, so the other in-range candidates are offered after it
+    if (specific && best.inRange && picks.length) {
+      const [lead] = picks;
+      const others = slots[0].items
+        .filter(p => p.url !== lead.url && p.convertedPrice >= range.min && p.convertedPrice <= range.max)
+        .sort((a, b) => (b.score ?? 0) - (a.score ?? 0))
+        .slice(0, BUNDLE_SPECIFIC_CHOICES - 1)
+        .map(p => ({ ...p, bundleCategory: lead.bundleCategory, tierCohesion: cohesionScore(p.palette, [roomPalette]) }));
+      picks = [lead, ...others];
+    }
+    const covered = best.picks.map(p => p.bundleCategory).filter(Boolean);
+    const palette = mergePalettes(best.picks.map(p => p.palette));
+    const scored = best.picks.map(p => p.tierCohesion).filter(v => v != null);
+    bands[tier] = { min: range.min, max: range.max };
+    bundles[tier] = {
+      total: roundMoney(best.total),
+      target: range,
+      fraction: roundMoney(best.total / total),
+      inRange: best.inRange,
+      reachable: most >= range.min && least <= range.max,
+      count: best.count,
+      categories: covered,
+      missing: slots.map(sl => sl.name).filter(n => n && !covered.includes(n)),
+      palette,
+      tone: paletteTone(palette),
+      cohesion: scored.length ? roundMoney(scored.reduce((a, b) => a + b, 0) / scored.length) : null,
+    };
+    if (specific) bundles[tier].choices = picks.length;
+    result[tier] = picks;
+  }
+  return { ...result, bands, bundles };
+}
+
+// --- Search planner (per-request query budget) ---
+// Each provider call spends one query from the request's budget. The plan's queries
+// go out first across all retailers; after that every wave takes the best-scoring
+// (query, retailer, page) still open: queries naming a still-missing category first,
+// then retailers and queries that have returned priced products so far. A further
+// page is only tried when the previous one was full and brought something new.
+const SEARCH_QUERY_BUDGET = Math.max(1, Number(process.env.SEARCH_QUERY_BUDGET || 24));
+const SEARCH_MAX_QUERY_BUDGET = Math.max(SEARCH_QUERY_BUDGET, Number(process.env.SEARCH_MAX_QUERY_BUDGET || 60));
+const SEARCH_PAGE_SIZE = 10;
+const SEARCH_MAX_PAGES = 3;
+// searches in flight at once; smaller expansion waves stop sooner once the tiers are met
+const SEARCH_INITIAL_WAVE = 6;
+const SEARCH_EXPAND_WAVE = 3;
+
+function parseQueryBudget(raw) {
+  if (raw == null || raw === '') return SEARCH_QUERY_BUDGET;
+  const n = Number(raw);
+  if (!Number.isInteger(n) || n < 1 || n > SEARCH_MAX_QUERY_BUDGET) throw httpError(400, `queryBudget must be a whole number from 1 to ${SEARCH_MAX_QUERY_BUDGET}`);
+  return n;
+}
+
+function createSearchPlanner({ queries, retailers, budget }) {
+  const stats = (keys) => new Map(keys.map(k => [k, { searches: 0, priced: 0 }]));
+  const bySite = stats(retailers);
+  const byQuery = stats(queries);
+  // `${query}|${site}|${start}` -> the spent entry for that page; a search across several
+  // retailers is filed under each of them, so expansion goes on to their next page
+  const pages = new Map();
+  const spent = [];
+  const initialSite = retailers.length === 1 ? retailers[0] : null;
+  const initial = queries.slice(0, budget).map(query => ({ query, site: initialSite, start: 1, phase: 'initial' }));
+  // priced products per search, smoothed so an untried retailer or query starts in the middle
+  const rate = (s) => {
+    const r = (s.priced + 1) / (s.searches + 2);
+    return r / (r + 1);
+  };
+  const score = (a, unfilled) => {
+    const cats = categoriesIn(a.query);
+    const missing = !unfilled.length ? 0 : cats.some(c => unfilled.includes(c)) ? 1 : cats.length ? 0 : 0.3;
+    return 2 * missing + rate(bySite.get(a.site)) + rate(byQuery.get(a.query)) - 0.25 * (a.start - 1) / SEARCH_PAGE_SIZE;
+  };
+  const open = (query, site, start) => {
+    if (pages.has(`${query}|${site}|${start}`)) return false;
+    if (start === 1) return true;
+    const prev = pages.get(`${query}|${site}|${start - SEARCH_PAGE_SIZE}`);
+    return !!prev && prev.done && prev.results >= SEARCH_PAGE_SIZE && prev.targets > 0;
+  };
+  return {
+    get spent() { return spent.length; },
+    get remaining() { return budget - spent.length; },
+    // up to `n` searches to run next, given the planned categories still without a candidate
+    next(n, { unfilled = [] } = {}) {
+      n = Math.min(n, budget - spent.length);
+      if (n <= 0) return [];
+      if (spent.length < initial.length) return initial.slice(spent.length, spent.length + n);
+      const candidates = [];
+      for (const query of queries) {
+        for (const site of retailers) {
+          for (let page = 0; page < SEARCH_MAX_PAGES; page++) {
+            const start = 1 + page * SEARCH_PAGE_SIZE;
+            if (open(query, site, start)) candidates.push({ query, site, start, phase: 'expand' });
+          }
+        }
+      }
+      return candidates
+        .map(a => ({ a, s: score(a, unfilled) }))
+        .sort((x, y) => y.s - x.s)
+        .slice(0, n)
+        .map(({ a }) => a);
+    },
+    // marks a search as spent before it is sent; returns the entry to fill in
+    start(action) {
+      const entry = { query: action.query, site: action.site, start: action.start, phase: action.phase, results: 0, targets: 0, priced: 0, done: false };
+      spent.push(entry);
+      for (const site of action.site ? [action.site] : retailers) pages.set(`${action.query}|${site}|${action.start}`, entry);
+      return entry;
+    },
+    // credits priced products to the query and to the retailer(s) whose pages they came from
+    finish(entry, { results, targets, products }) {
+      Object.assign(entry, { results, targets, priced: products.length, done: true });
+      const q = byQuery.get(entry.query);
+      if (q) { q.searches++; q.priced += products.length; }
+      for (const site of entry.site ? [entry.site] : retailers) {
+        const s = bySite.get(site);
+        s.searches++;
+        s.priced += products.filter(p => siteMatchesUrl(p.url, site)).length;
+      }
+    },
+    report(stoppedBy) {
+      return {
+        budget,
+        spent: spent.length,
+        stoppedBy,
+        retailers: Object.fromEntries([...bySite].map(([site, s]) => [site, { ...s }])),
+        queries: spent.map(({ done, ...e }) => e),
+      };
+    },
+  };
+}
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Runs the whole product search. `emit(event, data)` receives progress as the
+// search goes (plan, targets, products, tiers); `isCancelled()` lets a caller
+// that went away stop the search after the current wave.
+async function runProductSearch(input, { emit = () => {}, isCancelled = () => false, usage = systemUsage } = {}) {
+  const { description, budget, image, ikeaOnly: ikeaOnlyInput, retailers: retailersInput, provider: providerInput, market: marketInput, currency: currencyInput, fitMode = 'filter', queryBudget: queryBudgetInput, style: styleInput, queryPromptId } = input || {};
+  const provider = resolveSearchProvider(providerInput);
+  const market = parseMarket(marketInput ?? DEFAULT_MARKET);
+  if (!market) throw httpError(400, 'Invalid market (expected e.g. "de-DE" or { country, language })');
+  // budget and tiers are expressed in the display currency
+  const displayCurrency = String(currencyInput || market.currency || 'USD').toUpperCase();
+  if (!isKnownCurrency(displayCurrency)) throw httpError(400, `Unsupported currency: ${displayCurrency}`);
+  const ikeaOnly = ikeaOnlyInput !== false; // default true
+  const idea = (description || '').trim();
+  if (!idea) throw httpError(400, 'Missing description');
+  if (!FIT_MODES.includes(fitMode)) throw httpError(400, `fitMode must be one of ${FIT_MODES.join(', ')}`);
+  const queryBudget = parseQueryBudget(queryBudgetInput);
+  const style = stylePreset(styleInput);
+  const space = await spaceFor(input);
+
+  // fallback bands from the provided budget until priced products come back
+  const fallbackBands = priceBands(budget, displayCurrency);
+  const intent = classifyIntent(idea);
+  const needed = planCategories(intent);
+  const roomPalettePromise = roomPaletteFor(input);
+  const generated = await geminiQueries(idea, budget, { ikeaOnly, market, currency: displayCurrency, categories: needed, style, roomType: roomTypeName(intent.room), promptId: queryPromptId, usage });
+  let queries = generated.queries;
+  // Planned categories no query names get one of their own, first so the cap keeps them
+  if (needed.length) {
+    const covered = new Set(queries.flatMap(categoriesIn));
+    const coverage = needed.filter(c => !covered.has(c)).map(c => `${idea} ${categoryTerm(c, market.language)}`);
+    queries = [...new Set([...coverage, ...queries])].slice(0, Math.max(12, coverage.length));
+  }
+  console.log('[PRODUCTS] request:', { idea, budget, market: market.locale, provider: provider.name, queries: queries.length, imageSearch: image !== false, intent });
+
+  // Retailers: default is IKEA-only; caller can override
+  let retailers = Array.isArray(retailersInput) && retailersInput.length
+    ? retailersInput
+    : defaultRetailers({ ikeaOnly, market });
+  if (!retailers.length) throw httpError(400, `No configured retailers serve market ${market.locale}`);
+  const categoryLabels = Object.fromEntries(Object.keys(taxonomy.categories).map(c => [c, categoryLabel(c)]));
+  emit('plan', { queries, retailers, intent, needed, categoryLabels, market, displayCurrency, provider: provider.name, queryBudget });
+  const planner = createSearchPlanner({ queries, retailers, budget: queryBudget });
+  const initialCount = Math.min(queries.length, queryBudget);
+  let expanding = false;
+
+  const allTargets = [];
+  const seenTarget = new Set();
+  const pushTargets = (arr) => {
+    const added = [];
+    for (const t of arr) {
+      const u = t.pageUrl || t.imageUrl;
+      if (!u || seenTarget.has(u)) continue;
+      seenTarget.add(u);
+      allTargets.push(t);
+      added.push(t);
+    }
+    return added;
+  };
+
+  // Normalize (keep items even if price is null), then merge listings of the same product
+  const normalize = (p) => normalizeProduct(p, { displayCurrency });
+  const products = [];
+  // one record per product; duplicates across retailers become offers on it
+  let records = [];
+  // picks that clash with the room photo's colours are demoted
+  const roomPalette = await roomPalettePromise;
+  const weights = rankingWeights(input?.ranking?.weights);
+  const rebundle = () => {
+    records = rankProducts(mergeOffers(products.map(normalize)), { queries, needed, budget, displayCurrency, roomPalette, weights })
+      .map(p => ({ ...p, fit: checkFit(p, space) }));
+    // in 'filter' mode items that cannot fit never reach a bundle; 'flag' only marks them
+    const candidates = fitMode === 'filter' ? records.filter(p => p.fit?.status !== 'too-big') : records;
+    return bundleProducts(candidates, { budget, needed, fallbackBands, roomPalette });
+  };
+  let tiers = rebundle();
+  // planned categories without a single priced candidate
+  const unfilled = () => needed.filter(c => !tiers.priced.some(p => productCategories(p).includes(c)));
+  // enough when every planned category has a candidate and every bundle lands in its budget
+  // range, or the range lies beyond every price found (a budget the category doesn't reach)
+  const satisfied = () => tiers.bundles
+    && Object.values(tiers.bundles).every(b => b.inRange || !b.reachable)
+    && !unfilled().length;
+  const summary = () => {
+    const { priced, bands, avg, low, mid, high, bundles, budget: total, budgetEstimated } = tiers;
+    return { bands: { ...bands, avg }, low, mid, high, bundles, budget: total, budgetEstimated, needed, unfilled: unfilled(), roomPalette, space, fitMode, tooBigCount: records.filter(p => p.fit?.status === 'too-big').length, allCount: records.length, pricedCount: priced.length, queriesSpent: planner.spent, queryBudget, quotaExceeded: quotaError?.message || null };
+  };
+  // a refused search call stops further searching; what was found so far is still returned
+  let quotaError = null;
+  const searchTask = (label, task) => async () => {
+    if (quotaError || isCancelled()) return;
+    try { await task(); } catch (e) {
+      if (e?.code === 'USAGE_QUOTA') quotaError = quotaError || e;
+      else console.warn(`[${label}] task error`, e?.message || e);
+    }
+  };
+  // Hydrate a batch, then re-tier everything hydrated so far
+  const hydrateBatch = async (targets, phase) => {
+    if (!targets.length) return [];
+    const batch = await hydrateProducts(targets, { market });
+    products.push(...batch);
+    emit('products', { phase, products: batch.map(normalize) });
+    tiers = rebundle();
+    emit('tiers', { phase, ...summary() });
+    return batch;
+  };
+  // One planned provider call: search, then hydrate what is new unless the tiers were met meanwhile
+  const runSearch = async (action) => {
+    const entry = planner.start(action);
+    const found = await provider.search({ query: action.query, limit: SEARCH_PAGE_SIZE, sites: action.site ? [action.site] : retailers, imageSearch: image !== false, start: action.start, market, usage });
+    const targets = pushTargets(found);
+    emit('targets', { phase: action.phase, query: action.query, site: action.site, start: action.start, count: targets.length, total: allTargets.length, queriesSpent: planner.spent });
+    const batch = satisfied() ? [] : await hydrateBatch(targets, action.phase);
+    planner.finish(entry, { results: found.length, targets: targets.length, products: batch });
+  };
+
+  // Spend the query budget in waves, re-planning after each, until the tiers are met
+  let stoppedBy = 'budget';
+  while (true) {
+    if (isCancelled()) { stoppedBy = 'cancelled'; break; }
+    if (quotaError) { stoppedBy = 'quota'; break; }
+    if (planner.remaining <= 0) break;
+    if (satisfied()) { stoppedBy = 'satisfied'; break; }
+    const initialPhase = planner.spent < initialCount;
+    const wave = planner.next(initialPhase ? SEARCH_INITIAL_WAVE : SEARCH_EXPAND_WAVE, { unfilled: unfilled() });
+    if (!wave.length) { stoppedBy = 'exhausted'; break; }
+    if (!initialPhase && !expanding) {
+      expanding = true;
+      console.log('[PRODUCTS] bundles incomplete, planning more searches:', { remaining: planner.remaining, unfilled: unfilled() });
+      emit('expand', { reason: 'bundles incomplete', pricedCount: tiers.priced.length, bundles: tiers.bundles, unfilled: unfilled(), queriesLeft: planner.remaining });
+    }
+    const limitWave = pLimit(wave.length);
+    await Promise.all(wave.map(a => limitWave(searchTask(a.phase === 'initial' ? 'SEARCH' : 'EXPAND', () => runSearch(a)))));
+  }
+  console.log('[PRODUCTS] search done:', { queriesSpent: planner.spent, budget: queryBudget, stoppedBy, priced: products.length });
+
+  if (quotaError && !products.length) throw quotaError;
+  if (unfilled().length) console.log('[PRODUCTS] unfilled categories:', unfilled());
+  return { ...summary(), search: planner.report(stoppedBy), promptIds: { queries: generated.promptId }, style: styleInput || null, ranking: { weights }, intent, categoryLabels, ikeaOnly, retailers, market, displayCurrency, ratesAsOf: exchangeRates.asOf, provider: provider.name };
+}
+
+// POST /api/products { description, budget, market?, currency?, provider? }
+app.post('/api/products', async (req, res) => {
+  try {
+    const projectId = await requireProject(req.body?.projectId);
+    const result = await runProductSearch(req.body, { usage: req.usage });
+    if (projectId) result.searchId = await recordProjectSearch(projectId, req.body, result);
+    res.json(result);
+  } catch (err) {
+    if (!err.status) console.error(err);
+    res.status(err.status || 500).json({ error: String(err.message || err) });
+  }
+});
+
+// POST /api/products/stream — same body as /api/products, answered as
+// Server-Sent Events: plan, targets, products, tiers, expand, then done
+// (the full /api/products payload) or error.
+app.post('/api/products/stream', async (req, res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  let closed = false;
+  res.on('close', () => { closed = true; });
+  const send = (event, data) => {
+    if (closed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  // comment lines keep idle proxies from dropping the connection
+  const heartbeat = setInterval(() => { if (!closed) res.write(': ping\n\n'); }, 15000);
+  try {
+    const projectId = await requireProject(req.body?.projectId);
+    const result = await runProductSearch(req.body, { emit: send, isCancelled: () => closed, usage: req.usage });
+    if (projectId) result.searchId = await recordProjectSearch(projectId, req.body, result);
+    send('done', result);
+  } catch (err) {
+    if (!err.status) console.error(err);
+    send('error', { status: err.status || 500, error: String(err.message || err) });
+  } finally {
+    clearInterval(heartbeat);
+    res.end();
+  }
+});
+
+// --- Refinement ---
+// Free-text refinements ("more Scandinavian, add shelving; pricier lamp, no glass")
+// become structured constraints, then a new search is merged into the prior picks.
+const REFINE_TIERS = ['low', 'mid', 'high'];
+const REFINE_PER_TIER_MAX = 5;
+const REFINE_STYLES = ['mid-century modern', 'mid-century', 'mid century', 'french country', 'art deco', 'wabi-sabi', 'scandinavian', 'japandi', 'industrial', 'bohemian', 'boho', 'minimalist', 'minimal', 'contemporary', 'modern', 'rustic', 'farmhouse', 'coastal', 'traditional', 'glam', 'maximalist', 'vintage', 'retro', 'eclectic', 'mediterranean', 'cozy', 'warm'];
+const REFINE_SCHEMA = {
+  type: 'OBJECT',
+  properties: {
+    addCategories: { type: 'ARRAY', items: { type: 'STRING', enum: Object.keys(taxonomy.categories) } },
+    removeCategories: { type: 'ARRAY', items: { type: 'STRING', enum: Object.keys(taxonomy.categories) } },
+    priceBias: {
+      type: 'ARRAY',
+      items: {
+        type: 'OBJECT',
+        properties: {
+          category: { type: 'STRING', enum: Object.keys(taxonomy.categories) },
+          bias: { type: 'STRING', enum: ['low', 'high'] },
+        },
+        required: ['category', 'bias'],
+      },
+    },
+    style: { type: 'STRING', nullable: true },
+    budgetShift: { type: 'NUMBER' },
+    budget: { type: 'NUMBER', nullable: true },
+    exclusions: { type: 'ARRAY', items: { type: 'STRING' } },
+  },
+  required: ['addCategories', 'removeCategories', 'priceBias', 'budgetShift', 'exclusions'],
+};
+
+function emptyRefineConstraints() {
+  return { addCategories: [], removeCategories: [], priceBias: [], style: null, budgetShift: 1, budget: null, exclusions: [] };
+}
+
+// Coerces model (or client) output into the constraint shape with known categories only
+function normalizeRefineConstraints(raw) {
+  const out = emptyRefineConstraints();
+  if (!raw || typeof raw !== 'object') return out;
+  const known = (c) => Object.prototype.hasOwnProperty.call(taxonomy.categories, c);
+  const cats = (list) => [...new Set((Array.isArray(list) ? list : []).map(c => String(c).toLowerCase().trim()).filter(known))];
+  out.addCategories = cats(raw.addCategories);
+  out.removeCategories = cats(raw.removeCategories);
+  out.addCategories = out.addCategories.filter(c => !out.removeCategories.includes(c));
+  const seenBias = new Set();
+  for (const b of Array.isArray(raw.priceBias) ? raw.priceBias : []) {
+    const category = String(b?.category || '').toLowerCase();
+    if (!known(category) || !['low', 'high'].includes(b?.bias) || seenBias.has(category)) continue;
+    seenBias.add(category);
+    out.priceBias.push({ category, bias: b.bias });
+  }
+  if (typeof raw.style === 'string' && raw.style.trim()) out.style = raw.style.trim().toLowerCase().slice(0, 60);
+  const shift = Number(raw.budgetShift);
+  if (Number.isFinite(shift) && shift > 0) out.budgetShift = Math.min(4, Math.max(0.25, shift));
+  const budget = Number(raw.budget);
+  if (raw.budget != null && Number.isFinite(budget) && budget > 0) out.budget = budget;
+  out.exclusions = [...new Set((Array.isArray(raw.exclusions) ? raw.exclusions : []).map(x => String(x).toLowerCase().trim()).filter(Boolean))].slice(0, 12);
+  return out;
+}
+
+const CHEAPER_RE = /\b(cheaper|less expensive|lower[- ]priced|inexpensive|affordable|budget)\b/;
+const PRICIER_RE = /\b(pricier|more expensive|higher[- ]end|premium|upgraded?|nicer|luxur(?:y|ious)|fancier)\b/;
+const REMOVE_RE = /\b(remove|drop|lose|delete|skip|get rid of|no more|no|without|minus)\b/;
+const EXCLUDE_RE = /\b(?:no|without|avoid|exclude|excluding|except|nothing)\s+(.+)$/;
+const OVERALL_UP_RE = /\b(?:(?:higher|bigger|increase[sd]?|raise)\s+(?:the\s+)?budget|more expensive overall|upgrade overall|splurge)\b/;
+const OVERALL_DOWN_RE = /\b(?:(?:lower|smaller|decrease[sd]?|reduce|cut)\s+(?:the\s+)?budget|cheaper overall|reduce overall|save money)\b/;
+
+// Deterministic fallback for when Gemini is unavailable or returns junk
+function parseRefineRules(text) {
+  const t = String(text || '').toLowerCase();
+  const out = emptyRefineConstraints();
+  if (OVERALL_UP_RE.test(t)) out.budgetShift = 1.3;
+  if (OVERALL_DOWN_RE.test(t)) out.budgetShift = 0.8;
+  const pct = t.match(/(\d{1,3})\s*%\s*(more|higher|less|lower|cheaper)/);
+  if (pct) out.budgetShift = 1 + (/more|higher/.test(pct[2]) ? 1 : -1) * Math.min(90, Number(pct[1])) / 100;
+  const explicit = t.match(/\bbudget\s*(?:of|to|is|at|:|=|around|about)?\s*[$€£¥]?\s*(\d[\d,]*(?:\.\d+)?)/)
+    || t.match(/\b(?:under|below|at most|max(?:imum)?|up to)\s*[$€£¥]?\s*(\d[\d,]*(?:\.\d+)?)/);
+  if (explicit) out.budget = Number(explicit[1].replace(/,/g, ''));
+
+  const clauses = t.split(/[;,.!?]|\band\b|\bbut\b|\bthen\b/).map(c => c.trim()).filter(Boolean);
+  for (const clause of clauses) {
+    const overall = /\bbudget\b|\boverall\b/.test(clause) && !categoriesIn(clause).length;
+    if (overall) continue;
+    const cats = categoriesIn(clause);
+    const removing = REMOVE_RE.test(clause);
+    const bias = CHEAPER_RE.test(clause) ? 'low' : (PRICIER_RE.test(clause) ? 'high' : null);
+    if (cats.length) {
+      for (const category of cats) {
+        if (removing) out.removeCategories.push(category);
+        else {
+          out.addCategories.push(category);
+          if (bias) out.priceBias.push({ category, bias });
+        }
+      }
+      continue;
+    }
+    // "no glass", "avoid wayfair": everything after the verb is excluded
+    const ex = clause.match(EXCLUDE_RE);
+    if (ex) out.exclusions.push(ex[1].replace(/^(?:any|the|a|an|more)\s+/, '').trim());
+  }
+  out.style = REFINE_STYLES.find(st => new RegExp(`\\b${escapeRegExp(st)}\\b`).test(t)) || null;
+  return normalizeRefineConstraints(out);
+}
+
+// Constraints from Gemini as { constraints, promptId }, or null to fall back to the rules
+async function geminiRefineConstraints(text, { description, budget, currency, selection, promptId = null, usage = systemUsage }) {
+  const picked = REFINE_TIERS.map(k => `${k}: ${(selection?.[k] || []).map(p => p.title).filter(Boolean).slice(0, 5).join('; ') || '(none)'}`).join('\n');
+  const { id, prompt } = renderPrompt('refine', {
+    text, description, currency, picked,
+    budget: budget ?? 'n/a',
+    categories: Object.keys(taxonomy.categories),
+  }, promptId);
+  if (!genAI) return null;
+  try {
+    const model = genAI.getGenerativeModel({
+      model: 'gemini-2.5-flash',
+      // responseSchema is passed straight through to the API
+      generationConfig: { responseMimeType: 'application/json', responseSchema: REFINE_SCHEMA },
+    });
+    const resp = await usage.track('gemini', 'gemini-2.5-flash', () => model.generateContent(prompt), { purpose: 'refine', ref: id });
+    return { constraints: normalizeRefineConstraints(JSON.parse(resp.response.text())), promptId: id };
+  } catch (e) {
+    if (e?.code === 'USAGE_QUOTA') throw e;
+    console.warn('[REFINE] gemini constraints failed, using rules:', e?.message || e);
+    return null;
+  }
+}
+
+// Where to look for a category pick: biased picks take the cheapest/priciest match
+// from any tier; unbiased ones prefer the same tier, then its neighbours.
+function refineCandidates(search, tier, bias) {
+  if (bias) {
+    const all = REFINE_TIERS.flatMap(k => search[k] || []).filter(p => p.convertedPrice != null);
+    return all.sort((a, b) => bias === 'low' ? a.convertedPrice - b.convertedPrice : b.convertedPrice - a.convertedPrice);
+  }
+  const order = { low: ['low', 'mid', 'high'], mid: ['mid', 'low', 'high'], high: ['high', 'mid', 'low'] }[tier];
+  return order.flatMap(k => search[k] || []);
+}
+
+// Keeps prior picks (minus removed/excluded ones), swaps in price-biased picks,
+// adds requested categories, then tops tiers up from the new search. Tiers are bundles
+// that may share items, so duplicates are only avoided within a tier.
+function mergeRefinedTiers(selection, search, constraints, perTierMax = REFINE_PER_TIER_MAX) {
+  const keyOf = (p) => p?.url || p?.image || p?.title;
+  const excluded = (p) => {
+    const cats = productCategories(p);
+    if (constraints.removeCategories.some(c => cats.includes(c))) return true;
+    const text = `${p.title || ''} ${p.description || ''} ${p.retailer || ''} ${p.source || ''} ${p.brand || ''} ${p.material || ''} ${p.color || ''}`.toLowerCase();
+    return constraints.exclusions.some(x => text.includes(x));
+  };
+  const biasFor = (cat) => constraints.priceBias.find(b => b.category === cat)?.bias || null;
+  const wanted = [...new Set([...constraints.addCategories, ...constraints.priceBias.map(b => b.category)])];
+  const tiers = {};
+  const removed = [];
+  const missing = [];
+  for (const k of REFINE_TIERS) {
+    tiers[k] = (Array.isArray(selection?.[k]) ? selection[k] : []).filter(p => {
+      const biased = productCategories(p).some(c => biasFor(c));
+      if (!excluded(p) && !biased) return true;
+      removed.push({ tier: k, title: p.title, url: p.url, reason: biased ? 'price bias' : 'excluded' });
+      return false;
+    });
+  }
+  for (const k of REFINE_TIERS) {
+    const list = tiers[k];
+    const seen = new Set(list.map(keyOf));
+    for (const cat of wanted) {
+      const bias = biasFor(cat);
+      if (!bias && list.some(p => productCategories(p).includes(cat))) continue;
+      const pick = refineCandidates(search, k, bias)
+        .find(p => keyOf(p) && !seen.has(keyOf(p)) && !excluded(p) && productCategories(p).includes(cat));
+      if (!pick) { missing.push({ tier: k, category: cat }); continue; }
+      list.push(pick);
+      seen.add(keyOf(pick));
+    }
+    for (const p of search[k] || []) {
+      if (list.length >= perTierMax) break;
+      const key = keyOf(p);
+      if (!key || seen.has(key) || excluded(p)) continue;
+      // one item per category, as in the search bundles
+      const cats = productCategories(p);
+      if (cats.length && cats.every(c => list.some(q => productCategories(q).includes(c)))) continue;
+      list.push(p);
+      seen.add(key);
+    }
+  }
+  return { tiers, removed, missing };
+}
+
+// Bundle totals of the refined tiers against the refined budget (see bundleProducts)
+function refinedBundles(tiers, budget) {
+  const bundles = {};
+  for (const k of REFINE_TIERS) {
+    const items = tiers[k].filter(p => p.convertedPrice != null);
+    const sum = roundMoney(items.reduce((s, p) => s + p.convertedPrice, 0));
+    const frac = BUNDLE_TARGETS[k];
+    const range = budget ? { min: roundMoney(budget * frac.min), target: roundMoney(budget * frac.target), max: roundMoney(budget * frac.max) } : null;
+    bundles[k] = {
+      total: sum,
+      target: range,
+      fraction: budget ? roundMoney(sum / budget) : null,
+      inRange: range ? sum >= range.min && sum <= range.max : null,
+      count: tiers[k].length,
+      categories: [...new Set(tiers[k].flatMap(p => productCategories(p)))],
+    };
+  }
+  return bundles;
+}
+
+// Search text for the refined request: base description, style, added categories
+function refinedDescription(description, constraints) {
+  const base = String(description || '').trim();
+  const styled = constraints.style && !base.toLowerCase().includes(constraints.style) ? `${base}, ${constraints.style} style` : base;
+  const adds = constraints.addCategories.map(c => categoryTerm(c));
+  return { description: styled, query: adds.length ? `${styled} with ${adds.join(', ')}` : styled };
+}
+
+// POST /api/refine { text, projectId?, description?, budget?, market?, currency?, selection?, constraints?, promptId? }
+// Missing context is taken from the project's latest search and selection.
+app.post('/api/refine', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const text = String(body.text || '').trim();
+    if (!text && !body.constraints) return res.status(400).json({ error: 'Missing text' });
+    const projectId = await requireProject(body.projectId);
+    const project = projectId ? await projectStore.get(projectId) : null;
+    const last = project?.searches?.[project.searches.length - 1];
+    const description = String(body.description || last?.description || '').trim();
+    if (!description) return res.status(400).json({ error: 'Missing description (or a project with a previous search)' });
+    const budget = Number(body.budget ?? last?.budget) || null;
+    const market = body.market || last?.market;
+    const currency = body.currency || last?.displayCurrency;
+    const selection = body.selection || project?.selection || {};
+
+    let constraints = body.constraints ? normalizeRefineConstraints(body.constraints) : null;
+    let parser = constraints ? 'client' : null;
+    let promptId = null;
+    if (!constraints) {
+      const parsed = await geminiRefineConstraints(text, { description, budget, currency, selection, promptId: body.promptId, usage: req.usage });
+      parser = parsed ? 'gemini' : 'rules';
+      constraints = parsed?.constraints || parseRefineRules(text);
+      promptId = parsed?.promptId || null;
+    }
+    const newBudget = constraints.budget || (budget ? Math.max(10, Math.round(budget * constraints.budgetShift)) : null);
+    const { description: nextDescription, query } = refinedDescription(description, constraints);
+    console.log('[REFINE]', { text, parser, constraints, budget: newBudget, query });
+
+    const search = await runProductSearch({ ...body, description: query, budget: newBudget, market, currency }, { usage: req.usage });
+    const { tiers, removed, missing } = mergeRefinedTiers(selection, search, constraints);
+    const bundles = refinedBundles(tiers, search.budget || newBudget);
+    let searchId = null;
+    if (projectId) {
+      searchId = await recordProjectSearch(projectId, { description: nextDescription, budget: newBudget }, search);
+      await projectStore.update(projectId, (p) => { p.selection = tiers; });
+    }
+    res.json({ constraints, parser, promptId, description: nextDescription, budget: newBudget, tiers, bundles, removed, missing, search, searchId });
+  } catch (err) {
+    if (!err.status) console.error(err);
+    res.status(err.status || 500).json({ error: String(err.message || err) });
+  }
+});
+
+// --- API: Gemini philosophy for tiers ---
+app.post('/api/philosophy', async (req, res) => {
+  try {
+    const { description = '', budget = null, tiers = {}, promptId, style, roomType } = req.body || {};
+    const low = Array.isArray(tiers.low) ? tiers.low : [];
+    const mid = Array.isArray(tiers.mid) ? tiers.mid : [];
+    const high = Array.isArray(tiers.high) ? tiers.high : [];
+    const fmt = (arr) => arr.map(p => `- ${p.title || 'Product'} | ${p.source || ''} | ${p.currency || ''} ${p.price ?? ''}`).join('\n');
+    const { id, prompt } = renderPrompt('philosophy', {
+      description, budget: budget ?? 'n/a', low: fmt(low), mid: fmt(mid), high: fmt(high),
+      style: stylePreset(style), roomType: roomTypeName(roomType),
+    }, promptId);
+    if (!genAI) {
+      const brief = (arr, label) => arr.length ? `${label}: focuses on ${arr[0]?.title || 'cohesive items'} within budget.` : `${label}: no picks.`;
+      return res.json({
+        low: brief(low, 'Low'),
+        mid: brief(mid, 'Mid'),
+        high: brief(high, 'High'),
+        promptId: null,
+      });
+    }
+    const model = genAI.getGenerativeModel({ model: 'gemini-2.5-flash' });
+    const resp = await req.usage.track('gemini', 'gemini-2.5-flash', () => model.generateContent(prompt), { purpose: 'philosophy', ref: id });
+    const text = resp.response.text();
+    let json = null;
+    try {
+      const body = (text.match(/\{[\s\S]*\}$/) || [])[0] || text;
+      json = JSON.parse(body);
+    } catch {
+      json = { low: 'Balanced and minimal.', mid: 'Comfort and durability.', high: 'Premium materials and detail.' };
+    }
+    res.json({
+      low: String(json.low || 'Cohesive, budget-friendly essentials.'),
+      mid: String(json.mid || 'Comfort-driven, durable selections.'),
+      high: String(json.high || 'Premium textures and finishes.'),
+      promptId: id,
+    });
+  } catch (err) {
+    if (!err.status) console.error(err);
+    res.status(err.status || 500).json({ error: String(err.message || err) });
+  }
+});
+
+// --- Safe fetch (client-chosen URLs) ---
+// Any URL a client picks (proxy targets, room photos, composites and product images handed
+// to generation) is fetched through safeFetch: http(s) only, allowlisted hosts (fal's CDN,
+// each retailer's `domains` and `imageHosts`, PROXY_ALLOWED_HOSTS), and every connection,
+// redirects included, must resolve to a public address.
+const FETCH_ALLOWED_HOSTS = [
+  'fal.media', 'fal.run', 'fal.ai',
+  ...String(process.env.PROXY_ALLOWED_HOSTS || '').split(',').map(h => h.trim().toLowerCase()).filter(Boolean),
+  ...retailerAdapters.flatMap(a => [...a.domains, ...a.imageHosts]),
+];
+const FETCH_MAX_REDIRECTS = 5;
+
+function fetchHostAllowed(hostname) {
+  const host = hostname.toLowerCase().replace(/\.$/, '');
+  return FETCH_ALLOWED_HOSTS.some(d => host === d || host.endsWith(`.${d}`));
+}
+
+// Loopback, private, link-local, CGNAT, multicast and reserved ranges, IPv4 and IPv6
+function isPrivateAddress(ip) {
+  if (net.isIPv4(ip)) {
+    const [a, b] = ip.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 || a >= 224
+      || (a === 100 && b >= 64 && b <= 127) || (a === 169 && b === 254) || (a === 172 && b >= 16 && b <= 31)
+      || (a === 192 && (b === 0 || b === 168)) || (a === 198 && (b === 18 || b === 19));
+  }
+  const v6 = String(ip).toLowerCase();
+  const dotted = v6.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) return isPrivateAddress(dotted[1]);
+  const hex = v6.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (hex) {
+    const [hi, lo] = [parseInt(hex[1], 16), parseInt(hex[2], 16)];
+    return isPrivateAddress(`${hi >> 8}.${hi & 255}.${lo >> 8}.${lo & 255}`);
+  }
+  return v6 === '::' || v6 === '::1' || /^f[cd]/.test(v6) || /^fe[89ab]/.test(v6) || v6.startsWith('ff')
+    || v6.startsWith('64:ff9b:') || v6.startsWith('2001:db8:');
+}
+
+// dns.lookup that refuses private addresses; checked at connect time, so a name that is
+// re-pointed after validation (DNS rebinding) still can't reach the local network
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (!addresses.length || addresses.some(a => isPrivateAddress(a.address))) {
+      return callback(Object.assign(new Error(`${hostname} resolves to a private address`), { code: 'EPRIVATE' }));
+    }
+    if (options?.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const publicAgents = {
+  'http:': new http.Agent({ lookup: publicLookup }),
+  'https:': new https.Agent({ lookup: publicLookup }),
+};
+
+// Reason a URL may not be fetched for a client, or null
+function fetchRefusal(url) {
+  if (!publicAgents[url.protocol]) return 'Only http(s) URLs can be fetched';
+  if (url.username || url.password) return 'URLs with credentials are not fetched';
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isPrivateAddress(host)) return 'Private addresses are not fetched';
+  if (!fetchHostAllowed(host)) return `Host not allowed: ${host}`;
+  return null;
+}
+
+// GET a client-chosen URL, re-checking every redirect hop. Resolves with the final
+// response and URL; refusals are 403s, redirect loops 502s.
+async function safeFetch(href, { signal, headers = {}, compress = true } = {}) {
+  let target;
+  try { target = new URL(String(href)); }
+  catch { throw httpError(400, 'Invalid url'); }
+  for (let hop = 0; ; hop++) {
+    const refusal = fetchRefusal(target);
+    if (refusal) {
+      console.warn('[FETCH] refused', target.href, refusal);
+      throw httpError(403, refusal);
+    }
+    let r;
+    try {
+      r = await fetch(target.href, { redirect: 'manual', signal, compress, agent: publicAgents[target.protocol], headers: { 'User-Agent': USER_AGENT, ...headers } });
+    } catch (e) {
+      if (e?.code === 'EPRIVATE') throw httpError(403, 'Private addresses are not fetched');
+      throw e;
+    }
+    if (![301, 302, 303, 307, 308].includes(r.status)) return { response: r, url: target };
+    const location = r.headers.get('location');
+    r.body?.resume();
+    if (!location || hop >= FETCH_MAX_REDIRECTS) throw httpError(502, 'Too many or invalid redirects');
+    target = new URL(location, target);
+  }
+}
+
+// Body of a response as a Buffer, failing as soon as it passes `maxBytes` rather than
+// after reading all of it
+async function readBodyLimited(r, maxBytes, what = 'Response') {
+  if (Number(r.headers.get('content-length')) > maxBytes) {
+    r.body?.resume();
+    throw httpError(413, `${what} is larger than ${maxBytes} bytes`);
+  }
+  const chunks = [];
+  let bytes = 0;
+  for await (const chunk of r.body) {
+    bytes += chunk.length;
+    if (bytes > maxBytes) {
+      r.body.destroy();
+      throw httpError(413, `${what} is larger than ${maxBytes} bytes`);
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+// --- Asset store (content-addressed) ---
+// Generated images and GLBs and uploaded room photos are stored once, by SHA-256 of their
+// bytes, under ASSETS_DIR and served from /assets/<hash>. The URLs never change, so they
+// can be cached forever and passed back instead of data URLs. `derived` remembers outputs
+// computed from an asset (e.g. its GLB) so identical inputs are not generated twice.
+const ASSETS_DIR = process.env.ASSETS_DIR || 'data/assets';
+const ASSET_ID_RE = /^[0-9a-f]{64}$/;
+const ASSET_MAX_BYTES = Number(process.env.ASSET_MAX_MB || 50) * 1024 * 1024;
+const MEDIA_FETCH_TIMEOUT_MS = 30000;
+const MEDIA_TYPES = {
+  '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png', '.webp': 'image/webp',
+  '.gif': 'image/gif', '.svg': 'image/svg+xml', '.glb': 'model/gltf-binary',
+};
+
+// Stored assets are typed by their bytes, never by what the uploader claimed: raster images
+// sharp can read, HEIC photos and binary glTF. Anything else (HTML, SVG, scripts) is refused,
+// so /assets cannot serve active content from the app's origin.
+const ASSET_RASTER_TYPES = { jpeg: 'image/jpeg', png: 'image/png', webp: 'image/webp', gif: 'image/gif', avif: 'image/avif', heif: 'image/heic', tiff: 'image/tiff' };
+const ASSET_SERVED_TYPES = new Set([...Object.values(ASSET_RASTER_TYPES), 'model/gltf-binary']);
+
+async function sniffAssetType(buf) {
+  if (buf.length >= 12 && buf.toString('latin1', 0, 4) === 'glTF') return 'model/gltf-binary';
+  try {
+    const { format } = await sharp(buf, { limitInputPixels: 40e6 }).metadata();
+    if (ASSET_RASTER_TYPES[format]) return ASSET_RASTER_TYPES[format];
+  } catch {}
+  // phone HEIC photos, which sharp's bundled libvips may not read
+  if (buf.length >= 12 && buf.toString('latin1', 4, 8) === 'ftyp' && /^(heic|heix|hevc|hevx|mif1|msf1)$/.test(buf.toString('latin1', 8, 12))) return 'image/heic';
+  return null;
+}
+
+function createAssetStore(dir) {
+  const fileFor = (id) => path.join(dir, id.slice(0, 2), id);
+  const derivedFile = (key) => path.join(dir, 'derived', `${createHash('sha256').update(key).digest('hex')}.json`);
+  const writeAtomic = async (file, data) => {
+    await mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${randomUUID()}.tmp`;
+    await writeFile(tmp, data);
+    await rename(tmp, file);
+  };
+  const get = async (id) => {
+    if (!ASSET_ID_RE.test(String(id))) return null;
+    try { return JSON.parse(await readFile(`${fileFor(id)}.json`, 'utf8')); }
+    catch { return null; }
+  };
+  return {
+    get,
+    path: (id) => path.resolve(fileFor(id)),
+    read: (id) => readFile(fileFor(id)),
+    async put(buf, { source = null } = {}) {
+      const mimeType = await sniffAssetType(buf);
+      if (!mimeType) throw httpError(415, 'Only images and GLB models can be stored');
+      const id = createHash('sha256').update(buf).digest('hex');
+      const existing = await get(id);
+      if (existing) return existing;
+      const meta = { id, url: `/assets/${id}`, mimeType, size: buf.length, source, createdAt: new Date().toISOString() };
+      await writeAtomic(fileFor(id), buf);
+      await writeAtomic(`${fileFor(id)}.json`, JSON.stringify(meta));
+      return meta;
+    },
+    async derived(key) {
+      try { return await get(JSON.parse(await readFile(derivedFile(key), 'utf8')).assetId); }
+      catch { return null; }
+    },
+    async setDerived(key, assetId) {
+      await writeAtomic(derivedFile(key), JSON.stringify({ key, assetId, at: new Date().toISOString() }));
+    },
+  };
+}
+
+const assetStore = createAssetStore(ASSETS_DIR);
+
+function assetIdFromUrl(url) {
+  return String(url || '').match(/^\/assets\/([0-9a-f]{64})(?:[?#]|$)/)?.[1] || null;
+}
+
+// `/assets/<id>` for an asset ID from a request body; null when none was given
+function assetRefUrl(id) {
+  if (id == null || id === '') return null;
+  if (!ASSET_ID_RE.test(String(id))) throw httpError(400, 'Invalid asset ID');
+  return `/assets/${id}`;
+}
+
+// Bytes and media type of a data URL, an asset, a fixture file or an http(s) URL (via safeFetch)
+async function loadMedia(src) {
+  const s = String(src || '');
+  const data = s.match(/^data:([^;,]+);base64,(.+)$/);
+  if (data) return { buf: Buffer.from(data[2], 'base64'), mimeType: data[1] };
+  const id = assetIdFromUrl(s);
+  if (id) {
+    const meta = await assetStore.get(id);
+    if (!meta) throw httpError(404, `Unknown asset ${id}`);
+    return { buf: await assetStore.read(id), mimeType: meta.mimeType };
+  }
+  if (s.startsWith('/fixtures/')) {
+    const root = path.resolve('fixtures');
+    const file = path.resolve(root, `.${s.slice('/fixtures'.length).split('?')[0]}`);
+    if (!file.startsWith(root + path.sep)) throw httpError(400, `Path outside fixtures: ${s}`);
+    return { buf: await readFile(file), mimeType: MEDIA_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream' };
+  }
+  if (!/^https?:\/\//i.test(s)) throw httpError(400, `Unsupported media source: ${s.slice(0, 40)}`);
+  // the URL comes from a client, so it goes through the same guard as /api/proxy
+  const ac = new AbortController();
+  const timer = setTimeout(() => ac.abort(), MEDIA_FETCH_TIMEOUT_MS);
+  try {
+    const { response: r, url } = await safeFetch(s, { signal: ac.signal });
+    if (!r.ok) {
+      r.body?.resume();
+      throw new Error(`HTTP ${r.status} for ${url.href}`);
+    }
+    const buf = await readBodyLimited(r, ASSET_MAX_BYTES, url.href);
+    const type = (r.headers.get('content-type') || '').split(';')[0].trim();
+    const byExtension = MEDIA_TYPES[path.extname(url.pathname).toLowerCase()];
+    return { buf, mimeType: (type && type !== 'application/octet-stream' ? type : byExtension) || 'application/octet-stream' };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Asset for any media reference; references to existing assets are looked up, not re-read
+async function ingestAsset(src, { source = null } = {}) {
+  const id = assetIdFromUrl(src);
+  if (id) {
+    const meta = await assetStore.get(id);
+    if (!meta) throw httpError(404, `Unknown asset ${id}`);
+    return meta;
+  }
+  const { buf } = await loadMedia(src);
+  return assetStore.put(buf, { source: source || (/^https?:/i.test(String(src)) ? String(src) : null) });
+}
+
+// --- Design projects ---
+// One directory per project under PROJECTS_DIR: project.json (searches, composites,
+// iso/GLB outputs, current selection) next to the room photo.
+const PROJECTS_DIR = process.env.PROJECTS_DIR || 'data/projects';
+const PROJECT_ID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+const PROJECT_MAX_HISTORY = 50;
+const PROJECT_TIERS = ['low', 'mid', 'high'];
+
+function createProjectStore(dir) {
+  const fileFor = (id) => path.join(dir, id, 'project.json');
+  const writeLocks = new Map();
+  const writeAtomic = async (file, data) => {
+    await mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await writeFile(tmp, data);
+    await rename(tmp, file);
+  };
+  const read = async (id) => {
+    if (typeof id !== 'string' || !PROJECT_ID_RE.test(id)) return null;
+    try { return JSON.parse(await readFile(fileFor(id), 'utf8')); }
+    catch { return null; }
+  };
+  // read-modify-write, one at a time per project; resolves null for unknown IDs
+  const update = (id, mutate) => {
+    const prev = writeLocks.get(id) || Promise.resolve();
+    const next = prev.catch(() => {}).then(async () => {
+      const project = await read(id);
+      if (!project) return null;
+      await mutate(project);
+      project.updatedAt = new Date().toISOString();
+      await writeAtomic(fileFor(id), JSON.stringify(project));
+      return project;
+    });
+    writeLocks.set(id, next);
+    next.catch(() => {}).finally(() => { if (writeLocks.get(id) === next) writeLocks.delete(id); });
+    return next;
+  };
+  return {
+    get: read,
+    update,
+    async create({ name, market } = {}) {
+      const now = new Date().toISOString();
+      const project = {
+        id: randomUUID(),
+        name: String(name || '').trim().slice(0, 120) || 'Untitled room',
+        createdAt: now,
+        updatedAt: now,
+        market: market || null,
+        room: null,
+        space: null,
+        selectedTier: null,
+        composeBaseUrl: null,
+        selection: { low: [], mid: [], high: [] },
+        philosophy: null,
+        searches: [],
+        composites: [],
+        outputs: [],
+      };
+      await writeAtomic(fileFor(project.id), JSON.stringify(project));
+      return project;
+    },
+    async list() {
+      let ids = [];
+      try { ids = (await readdir(dir)).filter(id => PROJECT_ID_RE.test(id)); } catch {}
+      const projects = (await Promise.all(ids.map(read))).filter(Boolean);
+      return projects.sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+    },
+    async remove(id) {
+      if (!(await read(id))) return false;
+      await rm(path.join(dir, id), { recursive: true, force: true });
+      return true;
+    },
+    // the photo itself lives in the asset store
+    async saveRoom(id, { buffer }) {
+      if (!(await read(id))) return null;
+      const asset = await assetStore.put(buffer, { source: 'room' });
+      return update(id, (project) => {
+        project.room = { assetId: asset.id, assetUrl: asset.url, mimeType: asset.mimeType, size: buffer.length, url: `/api/projects/${id}/room`, updatedAt: new Date().toISOString() };
+      });
+    },
+    roomPath(project) {
+      if (!project?.room) return null;
+      return assetStore.path(project.room.assetId);
+    },
+  };
+}
+
+const projectStore = createProjectStore(PROJECTS_DIR);
+
+function pushHistory(list, entry) {
+  list.push(entry);
+  if (list.length > PROJECT_MAX_HISTORY) list.splice(0, list.length - PROJECT_MAX_HISTORY);
+}
+
+// Latest composite image for the project's tier, for project lists
+function projectThumbnail(project) {
+  for (const c of [...(project.composites || [])].reverse()) {
+    const url = c.reorgUrl || (project.selectedTier && c[`${project.selectedTier}Url`]) || c.highUrl || c.midUrl || c.lowUrl;
+    if (url) return url;
+  }
+  return project.room?.url || null;
+}
+
+function projectSummary(project) {
+  const last = project.searches?.[project.searches.length - 1];
+  return {
+    id: project.id,
+    name: project.name,
+    createdAt: project.createdAt,
+    updatedAt: project.updatedAt,
+    market: project.market,
+    roomUrl: project.room?.url || null,
+    thumbnailUrl: projectThumbnail(project),
+    selectedTier: project.selectedTier,
+    lastDescription: last?.description || null,
+    searchCount: project.searches?.length || 0,
+    compositeCount: project.composites?.length || 0,
+    outputCount: project.outputs?.length || 0,
+  };
+}
+
+// Validates an optional projectId from a request body; 404 when it is unknown
+async function requireProject(projectId) {
+  if (projectId == null || projectId === '') return null;
+  if (!(await projectStore.get(String(projectId)))) throw httpError(404, 'Unknown project');
+  return String(projectId);
+}
+
+async function recordProjectSearch(projectId, input, result) {
+  if (!projectId) return null;
+  const search = {
+    id: randomUUID(),
+    at: new Date().toISOString(),
+    description: String(input?.description || '').trim(),
+    budget: input?.budget ?? null,
+    market: result.market?.locale || null,
+    displayCurrency: result.displayCurrency,
+    provider: result.provider,
+    intent: result.intent,
+    bands: result.bands,
+    bundles: result.bundles,
+    needed: result.needed,
+    unfilled: result.unfilled,
+    space: result.space || null,
+    low: result.low,
+    mid: result.mid,
+    high: result.high,
+    allCount: result.allCount,
+    pricedCount: result.pricedCount,
+    promptIds: result.promptIds || {},
+  };
+  const project = await projectStore.update(projectId, (p) => {
+    pushHistory(p.searches, search);
+    p.market = search.market || p.market;
+    if (input && 'space' in input) p.space = search.space;
+  });
+  return project ? search.id : null;
+}
+
+// Called when a generation job succeeds; failures to record never fail the job
+async function recordProjectOutput(projectId, kind, input, result, jobId) {
+  if (!projectId) return;
+  const base = { id: randomUUID(), at: new Date().toISOString(), kind, jobId };
+  try {
+    await projectStore.update(projectId, (p) => {
+      if (kind === 'compose') {
+        const placed = Object.values(input.placements || {}).some(list => list.some(Boolean));
+        pushHistory(p.composites, {
+          ...base,
+          searchId: input.searchId || null,
+          promptId: result.promptId || null,
+          tier: input.tier || null,
+          lowUrl: result.lowUrl,
+          midUrl: result.midUrl,
+          highUrl: result.highUrl,
+          ...(placed ? { placements: input.placements, placementGuides: result.placementGuides || {} } : {}),
+        });
+      } else if (kind === 'reorganize') {
+        pushHistory(p.composites, { ...base, tier: input.tier || null, promptId: result.promptId || null, reorgUrl: result.reorgUrl });
+      } else if (kind === 'swap') {
+        const sourceUrl = /^(https?:|\/assets\/)/i.test(input.image) ? input.image : null;
+        pushHistory(p.composites, {
+          ...base,
+          tier: input.tier,
+          action: input.action,
+          promptId: result.promptId || null,
+          sourceUrl,
+          swapUrl: result.swapUrl,
+          removed: { title: input.old.title || null, url: input.old.url || null },
+          added: input.replacement ? { title: input.replacement.title || null, url: input.replacement.url || null } : null,
+          placements: { [input.tier]: result.placements },
+        });
+        // the tier's list now matches the image
+        p.selection = { low: [], mid: [], high: [], ...(p.selection || {}), [input.tier]: result.products };
+      } else if (kind === 'finalize') {
+        pushHistory(p.outputs, { ...base, tier: input.selectedTier || null, promptId: result.promptId || null, isoImageUrl: result.isoImageUrl, glbUrl: result.glbUrl });
+      } else if (kind === '3d') {
+        const sourceUrl = /^https?:\/\//i.test(input.imgArg || '') ? input.imgArg : null;
+        pushHistory(p.outputs, { ...base, sourceUrl, glbUrl: result.glbUrl, proxyUrl: result.proxyUrl });
+      }
+    });
+  } catch (e) {
+    console.warn('[PROJECT] could not record output', projectId, kind, e?.message || e);
+  }
+}
+
+// --- Generation jobs ---
+// fal runs (compose, reorganize, swap, finalize, 3D) execute as background jobs so a
+// dropped connection doesn't lose the generation. Jobs live in memory until
+// JOB_TTL_MINUTES after they finish.
+const JOB_CONCURRENCY = Math.max(1, Number(process.env.JOB_CONCURRENCY || 4));
+const JOB_TTL_MS = Math.max(1, Number(process.env.JOB_TTL_MINUTES || 60)) * 60 * 1000;
+const JOB_MAX_LOGS = 200;
+const JOB_FINAL = new Set(['succeeded', 'failed', 'cancelled']);
+const jobs = new Map();
+const limitJobs = pLimit(JOB_CONCURRENCY);
+
+function jobView(job, { logsSince = 0 } = {}) {
+  return {
+    id: job.id,
+    kind: job.kind,
+    status: job.status,
+    progress: job.progress,
+    message: job.message,
+    logs: job.logs.slice(Math.max(0, logsSince - job.logOffset)),
+    logCount: job.logOffset + job.logs.length,
+    result: job.result,
+    error: job.error,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+  };
+}
+
+function emitJob(job, event, data) {
+  for (const fn of job.listeners) {
+    try { fn(event, data); } catch {}
+  }
+}
+
+function updateJob(job, patch) {
+  Object.assign(job, patch);
+  emitJob(job, 'status', { status: job.status, progress: job.progress, message: job.message });
+}
+
+function jobLog(job, message) {
+  const entry = { at: Date.now(), message: String(message) };
+  job.logs.push(entry);
+  if (job.logs.length > JOB_MAX_LOGS) {
+    job.logs.shift();
+    job.logOffset++;
+  }
+  emitJob(job, 'log', entry);
+}
+
+function finishJob(job, status, { result = null, error = null } = {}) {
+  if (JOB_FINAL.has(job.status)) return;
+  job.result = result;
+  job.error = error;
+  job.finishedAt = Date.now();
+  updateJob(job, { status, progress: status === 'succeeded' ? 1 : job.progress });
+  emitJob(job, status, jobView(job, { logsSince: Infinity }));
+  job.listeners.clear();
+  setTimeout(() => jobs.delete(job.id), JOB_TTL_MS).unref();
+}
+
+// What a job's run function gets: progress/log reporting, a cancellation
+// check and a fal.subscribe wrapper that streams queue updates into the job
+// and books each run on the usage ledger of the user who started the job.
+function jobContext(job) {
+  const ctx = {
+    jobId: job.id,
+    signal: job.controller.signal,
+    progress(value, message) {
+      updateJob(job, { progress: Math.max(0, Math.min(1, value)), message: message ?? job.message });
+    },
+    log: (message) => jobLog(job, message),
+    throwIfCancelled() {
+      if (job.controller.signal.aborted) throw new Error('Job cancelled');
+    },
+    async falSubscribe(endpoint, { input, tag = endpoint } = {}) {
+      ctx.throwIfCancelled();
+      let requestId = null;
+      const seenLogs = new Set();
+      const out = await job.usage.track('fal', endpoint, () => fal.subscribe(endpoint, {
+        input,
+        logs: true,
+        abortSignal: job.controller.signal,
+        onEnqueue: (id) => {
+          requestId = id;
+          job.falRequests.push({ endpoint, requestId: id });
+          jobLog(job, `[${tag}] queued as ${id}`);
+        },
+        onQueueUpdate: (update) => {
+          if (update?.status === 'IN_QUEUE' && update.queue_position != null) {
+            updateJob(job, { message: `${tag}: waiting in queue (position ${update.queue_position})` });
+          }
+          if (update?.status === 'IN_PROGRESS' && Array.isArray(update.logs)) {
+            for (const l of update.logs) {
+              const key = `${l.timestamp}|${l.message}`;
+              if (seenLogs.has(key)) continue;
+              seenLogs.add(key);
+              console.log(`[${tag}]`, l.message);
+              jobLog(job, `[${tag}] ${l.message}`);
+            }
+          }
+        },
+      }), { purpose: tag, ref: job.id });
+      ctx.throwIfCancelled();
+      return { ...out, requestId: out?.requestId || out?.request_id || requestId };
+    },
+  };
+  return ctx;
+}
+
+function createJob(kind, run, usage = systemUsage) {
+  const job = {
+    id: randomUUID(),
+    kind,
+    status: 'queued',
+    progress: 0,
+    message: 'Queued',
+    logs: [],
+    logOffset: 0,
+    result: null,
+    error: null,
+    createdAt: Date.now(),
+    startedAt: null,
+    finishedAt: null,
+    controller: new AbortController(),
+    falRequests: [],
+    usage,
+    // only the user who started a job can see or cancel it
+    owner: usage.user,
+    errorStatus: null,
+    listeners: new Set(),
+  };
+  jobs.set(job.id, job);
+  limitJobs(async () => {
+    if (JOB_FINAL.has(job.status)) return;
+    job.startedAt = Date.now();
+    updateJob(job, { status: 'running', message: 'Running' });
+    try {
+      const result = await run(jobContext(job));
+      // cancelled while the work was finishing anyway: the result is dropped
+      if (job.status === 'cancelled') return;
+      finishJob(job, 'succeeded', { result });
+      console.log(`[JOB] ${kind} ${job.id} succeeded in ${job.finishedAt - job.startedAt}ms`);
+    } catch (err) {
+      if (job.status === 'cancelled') return;
+      console.error(`[JOB] ${kind} ${job.id} failed:`, err?.message || err);
+      job.errorStatus = err?.status || null;
+      finishJob(job, 'failed', { error: String(err?.message || err) });
+    }
+  });
+  return job;
+}
+
+function cancelJob(job) {
+  if (JOB_FINAL.has(job.status)) return false;
+  job.controller.abort();
+  for (const { endpoint, requestId } of job.falRequests) {
+    fal.queue.cancel(endpoint, { requestId }).catch((e) => console.warn('[JOB] fal cancel failed', requestId, e?.message || e));
+  }
+  finishJob(job, 'cancelled', { error: 'Cancelled by client' });
+  return true;
+}
+
+function waitForJob(job) {
+  if (JOB_FINAL.has(job.status)) return Promise.resolve(job);
+  return new Promise(resolve => job.listeners.add((event) => { if (JOB_FINAL.has(event)) resolve(job); }));
+}
+
+// Starts a job for a generation route. Responds 202 with the job ID, or with
+// `?wait=1` holds the request open and answers with the result like before.
+function startJobRoute(res, req, kind, run) {
+  const job = createJob(kind, run, req.usage);
+  if (req.query.wait === '1' || req.query.wait === 'true') {
+    return waitForJob(job).then(() => {
+      if (job.status === 'succeeded') res.json(job.result);
+      else res.status(job.status === 'cancelled' ? 409 : (job.errorStatus || 500)).json({ error: job.error, jobId: job.id });
+    });
+  }
+  res.status(202).json({ jobId: job.id, status: job.status, statusUrl: `/api/jobs/${job.id}`, eventsUrl: `/api/jobs/${job.id}/events` });
+}
+
+// Route wrapper: input errors answer right away; everything else runs as a job.
+// With a `projectId` in the body the result is recorded on that project. The
+// generation provider (`provider` in the body, else the configured one) is `ctx.generator`;
+// a caller already over their quota for it is turned away before a job is queued.
+function jobRoute(kind, parseInput, run) {
+  return async (req, res) => {
+    let input, projectId, generator;
+    try {
+      input = parseInput(req);
+      projectId = await requireProject(req.body?.projectId);
+      generator = withAssetStore(resolveGenerationProvider(req.body?.provider));
+      req.usage.check(generator.name);
+    } catch (err) {
+      return res.status(err.status || 400).json({ error: String(err.message || err) });
+    }
+    startJobRoute(res, req, kind, async (ctx) => {
+      const result = { ...(await run(input, { ...ctx, generator })), provider: generator.name };
+      ctx.throwIfCancelled();
+      await recordProjectOutput(projectId, kind, input, result, ctx.jobId);
+      return result;
+    });
+  };
+}
+
+// Base room image from a multipart upload ("space") or baseImageDataUrl / baseImageUrl fields
+function requestBaseImage(req, tag) {
+  const { baseImageUrl, baseImageDataUrl } = req.body || {};
+  if (typeof baseImageDataUrl === 'string' && baseImageDataUrl.startsWith('data:')) {
+    console.log(`[${tag}] baseImageDataUrl used (len=%d)`, baseImageDataUrl.trim().length);
+    return baseImageDataUrl.trim();
+  }
+  if (req.file) {
+    console.log(`[${tag}] file:`, { type: req.file.mimetype, size: req.file.size });
+    return `data:${req.file.mimetype};base64,${req.file.buffer.toString('base64')}`;
+  }
+  if (typeof baseImageUrl === 'string' && baseImageUrl.trim()) {
+    console.log(`[${tag}] baseImageUrl used`);
+    return String(baseImageUrl).trim();
+  }
+  return null;
+}
+
+function parseProductsJson(productsJson) {
+  try { return JSON.parse(productsJson || '{}'); }
+  catch { throw httpError(400, 'productsJson is not valid JSON'); }
+}
+
+function findFirstGlbUrl(obj) {
+  try {
+    const stack = [obj];
+    while (stack.length) {
+      const cur = stack.pop();
+      if (!cur) continue;
+      if (typeof cur === 'string' && /\.glb(\?.*)?$/i.test(cur)) return cur;
+      if (Array.isArray(cur)) { for (const v of cur) stack.push(v); continue; }
+      if (typeof cur === 'object') {
+        for (const k of Object.keys(cur)) stack.push(cur[k]);
+      }
+    }
+  } catch {}
+  return null;
+}
+
+// helper to find first absolute URL in nested data
+function findFirstAbsoluteUrl(obj) {
+  try {
+    const stack = [obj];
+    while (stack.length) {
+      const cur = stack.pop();
+      if (!cur) continue;
+      if (typeof cur === 'string' && /^https?:\/\//i.test(cur)) return cur;
+      if (Array.isArray(cur)) { for (const v of cur) stack.push(v); continue; }
+      if (typeof cur === 'object') { for (const k of Object.keys(cur)) stack.push(cur[k]); }
+    }
+  } catch {}
+  return null;
+}
+
+// Runs fal-ai/trellis on one image and resolves the GLB URL from its result (the fal provider's model3d)
+async function generateGlb(ctx, imageUrl, tag = '3D') {
+  const threeD = await ctx.falSubscribe('fal-ai/trellis', { input: { image_url: imageUrl }, tag: 'TRELLIS' });
+  const reqId = threeD.requestId;
+  console.log(`[${tag}] requestId:`, reqId);
+  try {
+    console.log(`[${tag}] data keys:`, Object.keys(threeD?.data || {}));
+  } catch {}
+
+  // Query final result via queue.result to get fully-resolved file URLs
+  let result;
+  try { result = await fal.queue.result('fal-ai/trellis', { requestId: reqId }); }
+  catch (e) { console.warn(`[${tag}] queue.result failed (using subscribe data)`, e?.message || e); }
+
+  const baseAbs = findFirstAbsoluteUrl(result?.data) || findFirstAbsoluteUrl(threeD?.data);
+  let fileUrl = result?.data?.model_mesh?.url;
+  const fileType = result?.data?.model_mesh?.content_type;
+  if (fileUrl) {
+    if (!/^https?:\/\//i.test(fileUrl)) {
+      try {
+        if (baseAbs) fileUrl = new URL(fileUrl, baseAbs).toString();
+        else if (reqId) fileUrl = new URL(fileUrl, `https://queue.fal.run/fal-ai/trellis/requests/${reqId}/`).toString();
+      } catch {}
+    }
+    console.log(`[${tag}] model_mesh url:`, fileUrl, 'type:', fileType);
+    return fileUrl;
+  }
+
+  // Fallback: traverse for any .glb link
+  let glb = findFirstGlbUrl(result?.data) || findFirstGlbUrl(threeD?.data);
+  if (!glb) throw new Error('Trellis did not return a GLB url');
+  if (baseAbs && !/^https?:\/\//i.test(glb)) {
+    try {
+      if (glb.startsWith('/')) {
+        const o = new URL(baseAbs);
+        glb = `${o.origin}${glb}`;
+      } else {
+        glb = new URL(glb, baseAbs).toString();
+      }
+    } catch (e) { console.warn(`[${tag}] Failed to resolve relative GLB with base`, baseAbs, e?.message || e); }
+  }
+  if (!/^https?:\/\//i.test(glb) && reqId) {
+    try { glb = new URL(glb, `https://queue.fal.run/fal-ai/trellis/requests/${reqId}/`).toString(); }
+    catch (e) { console.warn(`[${tag}] Could not resolve GLB against queue base`, e?.message || e); }
+  }
+  console.log(`[${tag}] GLB URL:`, glb);
+  return glb;
+}
+
+// --- Generation providers (image edit + 3D) ---
+// Every provider has `edit(ctx, { prompt, imageUrls, tag, placements, hintImages })`,
+// resolving to the URL of the edited image (imageUrls[0] is the image to edit, the rest are
+// products to add, optionally at `placements`; `hintImages` come after them and only explain
+// the edit, e.g. a placement guide or the product being swapped out), and
+// `model3d(ctx, { imageUrl, tag })`, resolving to a GLB URL. `fal` runs nano-banana/edit
+// and Trellis. `local` needs no key or network: it pastes product cut-outs onto the room
+// photo and writes a placeholder GLB, so the whole flow runs offline. Local outputs go
+// straight into the asset store; the others are copied there after each call.
+// GENERATION_PROVIDER picks one (default: fal when FAL_KEY is set, otherwise local).
+const GENERATION_PROVIDER = String(process.env.GENERATION_PROVIDER || '').toLowerCase();
+const LOCAL_EDIT_WIDTH = 1024;
+
+// Product photo with its near-white packshot background made transparent
+async function productCutout(buf, width, height = width) {
+  const { data, info } = await sharp(buf, { limitInputPixels: 40e6 })
+    .resize({ width, height, fit: 'inside' })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i] > 235 && data[i + 1] > 235 && data[i + 2] > 235) data[i + 3] = 0;
+  }
+  return { input: await sharp(data, { raw: info }).png().toBuffer(), width: info.width, height: info.height };
+}
+
+function escapeXml(s) {
+  return String(s).replace(/[<>&"']/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }[c]));
+}
+
+// Stand-in for an image edit: reference images are lined up along the floor of the
+// first one, or pasted at their placements, with a caption saying this is a local preview
+async function localEdit(ctx, { imageUrls, tag, placements }) {
+  ctx.throwIfCancelled();
+  const [base, ...refs] = imageUrls;
+  const room = sharp((await loadMedia(base)).buf, { limitInputPixels: 40e6 }).rotate().resize({ width: LOCAL_EDIT_WIDTH, withoutEnlargement: true });
+  const roomBuf = await room.png().toBuffer();
+  const { width, height } = await sharp(roomBuf).metadata();
+  const layers = [];
+  const slot = width / Math.max(refs.length, 3);
+  const floor = Math.round(height * 0.92);
+  for (const [i, url] of refs.entries()) {
+    try {
+      const buf = (await loadMedia(url)).buf;
+      const place = placements?.[i];
+      if (!place) {
+        const cut = await productCutout(buf, Math.round(slot * 0.85));
+        const left = Math.round(i * slot + (slot - cut.width) / 2);
+        layers.push({ input: cut.input, left: Math.max(0, left), top: Math.max(0, floor - cut.height) });
+        continue;
+      }
+      // boxes stand the product on their bottom edge; points centre it
+      const cut = place.w != null
+        ? await productCutout(buf, Math.max(1, Math.round(place.w * width)), Math.max(1, Math.round(place.h * height)))
+        : await productCutout(buf, Math.min(width, Math.round(slot * 0.85 * (place.scale || 1))));
+      const left = place.w != null ? (place.x + place.w / 2) * width - cut.width / 2 : place.x * width - cut.width / 2;
+      const top = place.w != null ? (place.y + place.h) * height - cut.height : place.y * height - cut.height / 2;
+      layers.push({
+        input: cut.input,
+        left: Math.round(Math.min(Math.max(0, left), width - cut.width)),
+        top: Math.round(Math.min(Math.max(0, top), height - cut.height)),
+      });
+    } catch (e) {
+      ctx.log(`[${tag}] skipped reference ${i + 1}: ${e?.message || e}`);
+    }
+  }
+  const caption = `Local preview · ${tag}`;
+  layers.push({
+    input: Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="36"><rect width="100%" height="100%" fill="black" fill-opacity="0.55"/><text x="12" y="24" font-family="sans-serif" font-size="18" fill="white">${escapeXml(caption)}</text></svg>`),
+    left: 0,
+    top: 0,
+  });
+  const out = await sharp(roomBuf).composite(layers).jpeg({ quality: 85 }).toBuffer();
+  ctx.log(`[${tag}] local edit with ${layers.length - 1} of ${refs.length} references`);
+  return (await assetStore.put(out, { source: `local:${tag}` })).url;
+}
+
+// Binary glTF of a unit box tinted with `color` (linear RGB)
+function placeholderGlb(color) {
+  const positions = [];
+  const normals = [];
+  const indices = [];
+  for (const n of [[0, 0, 1], [0, 0, -1], [1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0]]) {
+    const u = [n[1], n[2], n[0]];
+    const v = [n[1] * u[2] - n[2] * u[1], n[2] * u[0] - n[0] * u[2], n[0] * u[1] - n[1] * u[0]];
+    const start = positions.length / 3;
+    for (const [su, sv] of [[-1, -1], [1, -1], [1, 1], [-1, 1]]) {
+      for (let k = 0; k < 3; k++) positions.push((n[k] + su * u[k] + sv * v[k]) / 2);
+      normals.push(...n);
+    }
+    indices.push(start, start + 1, start + 2, start, start + 2, start + 3);
+  }
+  const bin = Buffer.concat([
+    Buffer.from(new Float32Array(positions).buffer),
+    Buffer.from(new Float32Array(normals).buffer),
+    Buffer.from(new Uint16Array(indices).buffer),
+  ]);
+  const gltf = {
+    asset: { version: '2.0', generator: 'RoomShop local' },
+    scene: 0,
+    scenes: [{ nodes: [0] }],
+    nodes: [{ mesh: 0 }],
+    meshes: [{ primitives: [{ attributes: { POSITION: 0, NORMAL: 1 }, indices: 2, material: 0 }] }],
+    materials: [{ pbrMetallicRoughness: { baseColorFactor: [...color, 1], metallicFactor: 0, roughnessFactor: 0.8 } }],
+    buffers: [{ byteLength: bin.length }],
+    bufferViews: [
+      { buffer: 0, byteOffset: 0, byteLength: 288, target: 34962 },
+      { buffer: 0, byteOffset: 288, byteLength: 288, target: 34962 },
+      { buffer: 0, byteOffset: 576, byteLength: 72, target: 34963 },
+    ],
+    accessors: [
+      { bufferView: 0, componentType: 5126, count: 24, type: 'VEC3', min: [-0.5, -0.5, -0.5], max: [0.5, 0.5, 0.5] },
+      { bufferView: 1, componentType: 5126, count: 24, type: 'VEC3' },
+      { bufferView: 2, componentType: 5123, count: 36, type: 'SCALAR' },
+    ],
+  };
+  const pad = (buf, fill) => Buffer.concat([buf, Buffer.alloc((4 - (buf.length % 4)) % 4, fill)]);
+  const json = pad(Buffer.from(JSON.stringify(gltf)), 0x20);
+  const body = pad(bin, 0);
+  const chunk = (data, type) => {
+    const head = Buffer.alloc(8);
+    head.writeUInt32LE(data.length, 0);
+    head.writeUInt32LE(type, 4);
+    return Buffer.concat([head, data]);
+  };
+  const header = Buffer.alloc(12);
+  header.writeUInt32LE(0x46546c67, 0); // "glTF"
+  header.writeUInt32LE(2, 4);
+  header.writeUInt32LE(12 + 8 + json.length + 8 + body.length, 8);
+  return Buffer.concat([header, chunk(json, 0x4e4f534a), chunk(body, 0x004e4942)]);
+}
+
+// Stand-in for image-to-3D: a box in the image's average colour
+async function localModel3d(ctx, { imageUrl, tag }) {
+  ctx.throwIfCancelled();
+  const { channels } = await sharp((await loadMedia(imageUrl)).buf, { limitInputPixels: 40e6 }).stats();
+  const color = channels.slice(0, 3).map(c => Math.round(Math.pow(c.mean / 255, 2.2) * 1000) / 1000);
+  ctx.log(`[${tag}] local placeholder GLB`);
+  return (await assetStore.put(placeholderGlb(color), { source: `local:${tag}` })).url;
+}
+
+const generationProviders = {
+  fal: {
+    name: 'fal',
+    unavailableReason: () => process.env.FAL_KEY ? null : 'Missing FAL_KEY',
+    async edit(ctx, { prompt, imageUrls, tag, hintImages = [] }) {
+      const image_urls = await Promise.all([...imageUrls, ...hintImages].map(falInputUrl));
+      const out = await ctx.falSubscribe('fal-ai/nano-banana/edit', { input: { prompt, image_urls, num_images: 1 }, tag });
+      const url = out?.data?.images?.[0]?.url;
+      if (!url) throw new Error(`fal edit returned no image for ${tag}`);
+      return url;
+    },
+    model3d: async (ctx, { imageUrl, tag }) => generateGlb(ctx, await falInputUrl(imageUrl), tag),
+  },
+  local: {
+    name: 'local',
+    unavailableReason: () => null,
+    edit: localEdit,
+    model3d: localModel3d,
+  },
+};
+
+// fal fetches http(s) and data URLs itself; paths only this server can serve are inlined
+async function falInputUrl(url) {
+  if (/^(https?:|data:)/i.test(String(url || ''))) return url;
+  const { buf, mimeType } = await loadMedia(url);
+  return `data:${mimeType};base64,${buf.toString('base64')}`;
+}
+
+// Provider whose outputs are copied into the asset store (the provider's URL is kept if that fails)
+function withAssetStore(generator) {
+  const keep = async (url, tag) => {
+    try { return (await ingestAsset(url, { source: `${generator.name}:${tag}` })).url; }
+    catch (e) {
+      console.warn('[ASSETS] could not store output', tag, e?.message || e);
+      return url;
+    }
+  };
+  return {
+    ...generator,
+    edit: async (ctx, opts) => keep(await generator.edit(ctx, opts), opts.tag),
+    model3d: async (ctx, opts) => keep(await generator.model3d(ctx, opts), opts.tag),
+  };
+}
+
+// GLB for an image, reusing the one this provider made earlier from the same bytes
+async function model3dFor(ctx, imageUrl, tag) {
+  let source = null;
+  try { source = await ingestAsset(imageUrl, { source: 'upload' }); }
+  catch (e) { ctx.log(`[${tag}] input not stored, no reuse: ${e?.message || e}`); }
+  const key = source && `3d:${ctx.generator.name}:${source.id}`;
+  const cached = key && await assetStore.derived(key);
+  if (cached) {
+    ctx.log(`[${tag}] reusing GLB ${cached.id}`);
+    return { url: cached.url, reused: true };
+  }
+  // remote inputs are handed over as they are rather than re-uploaded
+  const input = /^https?:/i.test(String(imageUrl)) || !source ? imageUrl : source.url;
+  const url = await ctx.generator.model3d(ctx, { imageUrl: input, tag });
+  const glbId = assetIdFromUrl(url);
+  if (key && glbId) await assetStore.setDerived(key, glbId);
+  return { url, reused: false };
+}
+
+function resolveGenerationProvider(name) {
+  const wanted = String(name || GENERATION_PROVIDER || (process.env.FAL_KEY ? 'fal' : 'local')).toLowerCase();
+  const provider = generationProviders[wanted];
+  if (!provider) throw httpError(400, `Unknown generation provider: ${wanted}`);
+  const reason = provider.unavailableReason();
+  if (reason) throw httpError(503, reason);
+  return provider;
 }
 
-function looksLikeCategoryUrl(u) {
-  try {
-    const { pathname, search } = new URL(u);
-    const path = pathname.toLowerCase();
-    const q = search.toLowerCase();
-    const categoryHints = [
-      '/s/', '/search', '/category', '/collections', '/browse', '/catalog', '/list', '/plp', '/shop/all', '/c/', '/dept/'
-    ];
-    if (categoryHints.some(h => path.includes(h))) return true;
-    const queryHints = ['?q=', 'search=', 'k=', 'keyword=', 'keywords=', 'refinements=', 'N=', 'Ns='];
-    if (queryHints.some(h => q.includes(h))) return true;
-    return false;
-  } catch { return false; }
+// --- Placement guides ---
+// Compose may pin products to spots on the room photo. `placementsJson` follows the product
+// images like `sizesJson`: per tier, one entry per image, either null (the model picks the
+// spot) or a point `{ x, y }` where the product's centre goes or a box `{ x, y, w, h }`
+// (top-left corner and size) it should fill, as fractions of the photo's width and height.
+// Points may carry a `scale` (1 = the size the product would naturally have there).
+// `placementGuide` picks how the model is told: prompt directives, an annotated copy of
+// the room photo sent as the last image, or both.
+const PLACEMENT_GUIDE_MODES = ['both', 'prompt', 'image'];
+const PLACEMENT_MIN_SCALE = 0.25;
+const PLACEMENT_MAX_SCALE = 4;
+const PLACEMENT_GUIDE_WIDTH = 1024;
+
+function parsePlacement(raw, where) {
+  if (raw == null) return null;
+  if (typeof raw !== 'object' || Array.isArray(raw)) throw httpError(400, `${where} must be an object or null`);
+  const frac = (key) => {
+    const v = Number(raw[key]);
+    if (raw[key] == null || !Number.isFinite(v) || v < 0 || v > 1) throw httpError(400, `${where}.${key} must be a number from 0 to 1`);
+    return Math.round(v * 1000) / 1000;
+  };
+  const out = { x: frac('x'), y: frac('y') };
+  if (raw.w != null || raw.h != null) {
+    out.w = frac('w');
+    out.h = frac('h');
+    if (!out.w || !out.h) throw httpError(400, `${where} box needs a width and height above 0`);
+    if (out.x + out.w > 1.001 || out.y + out.h > 1.001) throw httpError(400, `${where} box runs off the photo`);
+    if (raw.scale != null) throw httpError(400, `${where}: scale applies to points; a box already sets the size`);
+  } else if (raw.scale != null) {
+    const s = Number(raw.scale);
+    if (!(s >= PLACEMENT_MIN_SCALE && s <= PLACEMENT_MAX_SCALE)) throw httpError(400, `${where}.scale must be from ${PLACEMENT_MIN_SCALE} to ${PLACEMENT_MAX_SCALE}`);
+    out.scale = Math.round(s * 100) / 100;
+  }
+  if (raw.title) out.title = String(raw.title).slice(0, 80);
+  return out;
 }
 
-async function geminiQueries(idea, budget, opts = {}) {
-  const { ikeaOnly = true } = opts;
-  const fallback = [
-    `${idea} buy online`,
-    `${idea} price`,
-    `${idea} best budget`,
-    `${idea} premium`,
-    `${idea} sale`,
-    `${idea} product page`,
-  ];
-  if (!genAI) return fallback;
-  try {
-    const model = genAI.getGenerativeModel({ model: 'gemini-2.5-flash' });
-    const prompt = `You are generating shopping search queries that land on specific product detail pages.
-User request: "${idea}". Budget: ${budget}.
-Unifying style: choose one cohesive style direction (e.g., Scandinavian minimal, mid-century warm wood, Japandi neutral) and weave that into the queries so the products mesh together.
-${ikeaOnly ? 'Retailer constraint: ONLY generate queries that fit IKEA products and naming.' : ''}
-Rules:
-- If the request is for a single product type (e.g., "floor lamp"), produce queries tightly focused on that product.
-- If the request is a general room improvement (e.g., "make my living room cozy"), include different product categories such as couch/sofa, floor lamp, side table, area rug, wall art, indoor plant, shelving
-- Prefer queries that land on specific product pages with prices.
- - Keep them diverse but cohesive (share style/material/finish keywords).
-Return ONLY a JSON array of 8-10 query strings.`;
-    const resp = await model.generateContent(prompt);
-    const text = resp.response.text();
-    const jsonText = (text.match(/\[([\s\S]*)\]/) || [])[0] || text;
-    const arr = JSON.parse(jsonText);
-    return Array.isArray(arr) && arr.length ? arr.map(String) : fallback;
-  } catch {
-    return fallback;
+function parsePlacements(json) {
+  let data;
+  try { data = JSON.parse(json || '{}') || {}; }
+  catch { throw httpError(400, 'placementsJson is not valid JSON'); }
+  if (typeof data !== 'object' || Array.isArray(data)) throw httpError(400, 'placementsJson must map tiers to arrays');
+  const out = {};
+  for (const [tier, list] of Object.entries(data)) {
+    if (!['low', 'mid', 'high'].includes(tier)) throw httpError(400, `placementsJson: unknown tier "${tier}"`);
+    if (!Array.isArray(list)) throw httpError(400, `placementsJson.${tier} must be an array`);
+    out[tier] = list.map((p, i) => parsePlacement(p, `placementsJson.${tier}[${i}]`));
   }
+  return out;
 }
 
-function classifyIntent(idea) {
-  const s = (idea || '').toLowerCase();
-  const dict = {
-    lamp: ['floor lamp','table lamp','lamp','lighting','light'],
-    couch: ['sofa','couch','sectional'],
-    table: ['coffee table','side table','end table','console table','table'],
-    rug: ['rug','area rug','carpet'],
-    art: ['wall art','art','poster','print','painting'],
-    plant: ['indoor plant','plant','planter'],
-    shelf: ['shelf','shelving','bookcase','bookshelf'],
-    chair: ['chair','accent chair','armchair','dining chair'],
-    desk: ['desk'],
-    bed: ['bed','bed frame','headboard'],
-    dresser: ['dresser'],
-    mirror: ['mirror']
-  };
-  const hits = [];
-  for (const [type, words] of Object.entries(dict)) {
-    if (words.some(w => s.includes(w))) hits.push(type);
-  }
-  const uniq = [...new Set(hits)];
-  if (uniq.length === 1) return { specific: uniq[0], general: false };
-  return { specific: null, general: true };
-}
-
-async function searchProductsWithPSE({ query, limit = 6, sites = [], imageSearch = true, start = 1 }) {
-  const params = new URLSearchParams({
-    key: CSE_API_KEY,
-    cx: CSE_CX,
-    q: query,
-    num: String(Math.min(limit, 10)),
-    safe: 'active',
+// e.g. "in the lower left of the photo (centred about 20% across and 80% down)"
+function placementWhere(p) {
+  const pct = (v) => `${Math.round(v * 100)}%`;
+  if (p.w != null) return `filling the area from ${pct(p.x)} to ${pct(p.x + p.w)} across and ${pct(p.y)} to ${pct(p.y + p.h)} down the photo`;
+  const across = p.x < 1 / 3 ? 'left' : p.x > 2 / 3 ? 'right' : 'centre';
+  const down = p.y < 1 / 3 ? 'upper' : p.y > 2 / 3 ? 'lower' : 'middle';
+  const region = down === 'middle' && across === 'centre' ? 'centre' : `${down} ${across}`;
+  return `in the ${region} of the photo (centred about ${pct(p.x)} across and ${pct(p.y)} down)`;
+}
+
+// Placement sentences for a compose prompt. Image numbers match the edit request: the room
+// photo is image 1, the products follow, and the guide image (when sent) comes last.
+function placementPrompt(placements, { guideNumber = null, directives = true } = {}) {
+  const lines = [];
+  (placements || []).forEach((p, i) => {
+    if (!p || !directives) return;
+    const scale = p.scale && p.scale !== 1 ? `, at about ${p.scale}× the size it would naturally appear there` : '';
+    lines.push(`Place the product in image ${i + 2}${p.title ? ` (${p.title})` : ''} ${placementWhere(p)}${scale}.`);
   });
-  if (imageSearch) params.set('searchType', 'image');
-  if (start && Number(start) > 1) params.set('start', String(start));
-  if (sites.length === 1) {
-    params.set('siteSearch', sites[0]);
-    params.set('siteSearchFilter', 'i');
-  } else if (sites.length > 1) {
-    params.set('q', `${query} ${sites.map(s => `site:${s}`).join(' OR ')}`);
-  }
-  const apiUrl = `https://www.googleapis.com/customsearch/v1?${params.toString()}`;
-  const safeParams = new URLSearchParams(params);
-  safeParams.delete('key');
-  console.log('[CSE] request:', { imageSearch, url: `https://www.googleapis.com/customsearch/v1?${safeParams.toString()}` });
-  const apiResp = await fetchWithTimeout(apiUrl);
-  if (!apiResp.ok) {
-    const t = await apiResp.text();
-    throw new Error(`Custom Search API error: ${apiResp.status} ${t}`);
+  if (guideNumber) {
+    lines.push(`Image ${guideNumber} is a layout guide: the room photo with numbered markers, where marker N shows the spot for the product in image N. Use it only for positions; do not draw its markers, numbers or outlines.`);
   }
-  const data = await apiResp.json();
-  console.log('[CSE] query ok:', { query, count: Array.isArray(data.items) ? data.items.length : 0 });
-  const items = Array.isArray(data.items) ? data.items : [];
-  return items.map(it => ({
-    title: it.title,
-    imageUrl: imageSearch ? it.link : null,
-    pageUrl: imageSearch ? (it.image?.contextLink || it.link) : it.link,
-  }));
+  return lines.length ? ` Placement: ${lines.join(' ')}` : '';
 }
 
-async function hydrateProducts(targets) {
-  const limit = pLimit(4);
-  const out = [];
-  await Promise.all(targets.map(t => limit(async () => {
-    if (!t.pageUrl) return;
-    try {
-      const host = new URL(t.pageUrl).hostname;
-      if (/ikea\.com$/i.test(host) && !isIkeaProductUrl(t.pageUrl)) {
-        return; // skip non-product ikea URLs
-      }
-      if (/westelm\.com$/i.test(host) && !isWestElmProductUrl(t.pageUrl)) {
-        return; // skip West Elm non-product pages
-      }
-    } catch {}
-    const allowed = await robotsAllowed(t.pageUrl);
-    if (!allowed) return;
-    try {
-      const r = await fetchWithTimeout(t.pageUrl, {}, 8000);
-      const ct = r.headers.get('content-type') || '';
-      if (!r.ok || !ct.includes('text/html')) return;
-      const html = await r.text();
-      const product = extractProductFromJSONLD(html, t.pageUrl);
-      const fallback = extractFallbackMeta(html, t.pageUrl);
-      const merged = prefer(product, fallback);
-      // Skip obvious category/listing pages unless we positively detected a Product
-      if (!merged.isProduct && looksLikeCategoryUrl(t.pageUrl)) return;
-      // Require price if no Product type (to avoid category pages with OG tags only)
-      if (!merged.isProduct && merged.price == null) return;
-      const productOut = {
-        source: new URL(t.pageUrl).hostname,
-        title: merged.name || t.title || null,
-        description: merged.description || null,
-        price: merged.price,
-        currency: merged.currency,
-        images: merged.images && merged.images.length ? merged.images : (t.imageUrl ? [t.imageUrl] : []),
-        url: merged.url || t.pageUrl,
-        isProduct: !!merged.isProduct,
-      };
-      if (!productOut.title || productOut.price == null || !productOut.images?.length) return;
-      out.push(productOut);
-    } catch {}
-  })));
-  // de-dupe by url
-  const seen = new Set();
-  return out.filter(p => {
-    if (!p.url) return false;
-    if (seen.has(p.url)) return false;
-    seen.add(p.url);
-    return true;
-  });
+// The room photo with a numbered marker (and dashed outline for boxes) per placed product
+async function placementGuideImage(baseImage, placements) {
+  const room = await sharp((await loadMedia(baseImage)).buf, { limitInputPixels: 40e6 })
+    .rotate()
+    .resize({ width: PLACEMENT_GUIDE_WIDTH, withoutEnlargement: true })
+    .png()
+    .toBuffer();
+  const { width, height } = await sharp(room).metadata();
+  const r = Math.round(Math.max(14, width / 40));
+  const shapes = placements.map((p, i) => {
+    if (!p) return '';
+    const cx = Math.round((p.w != null ? p.x + p.w / 2 : p.x) * width);
+    const cy = Math.round((p.h != null ? p.y + p.h / 2 : p.y) * height);
+    const box = p.w != null
+      ? `<rect x="${Math.round(p.x * width)}" y="${Math.round(p.y * height)}" width="${Math.round(p.w * width)}" height="${Math.round(p.h * height)}" fill="#ff2d55" fill-opacity="0.12" stroke="#ff2d55" stroke-width="4" stroke-dasharray="14 8"/>`
+      : '';
+    const scale = p.scale && p.scale !== 1
+      ? `<text x="${cx}" y="${cy + r * 2.1}" text-anchor="middle" font-family="sans-serif" font-weight="bold" font-size="${Math.round(r * 0.8)}" fill="white" stroke="black" stroke-width="1">×${p.scale}</text>`
+      : '';
+    return `${box}<circle cx="${cx}" cy="${cy}" r="${r}" fill="#ff2d55" stroke="white" stroke-width="3"/><text x="${cx}" y="${cy + Math.round(r * 0.38)}" text-anchor="middle" font-family="sans-serif" font-weight="bold" font-size="${r}" fill="white">${i + 2}</text>${scale}`;
+  }).join('');
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">${shapes}</svg>`;
+  const out = await sharp(room).composite([{ input: Buffer.from(svg), left: 0, top: 0 }]).jpeg({ quality: 85 }).toBuffer();
+  return (await assetStore.put(out, { source: 'placement-guide' })).url;
 }
 
-// POST /api/products { description, budget }
-app.post('/api/products', async (req, res) => {
-  try {
-    if (!CSE_API_KEY || !CSE_CX) throw new Error('Missing CSE_API_KEY or CSE_CX');
-    const { description, budget, image, ikeaOnly: ikeaOnlyInput, retailers: retailersInput } = req.body || {};
-    const ikeaOnly = ikeaOnlyInput !== false; // default true
-    const idea = (description || '').trim();
-    if (!idea) return res.status(400).json({ error: 'Missing description' });
-
-    // start with fallback bands from provided budget; may override after hydration
-    let bands = priceBands(budget);
-    const intent = classifyIntent(idea);
-    let queries = await geminiQueries(idea, budget, { ikeaOnly });
-    // If general and image mode, ensure multi-category coverage
-    if (intent.general && image !== false) {
-      const extra = [
-        `${idea} modern couch`,
-        `${idea} floor lamp`,
-        `${idea} side table`,
-        `${idea} area rug`,
-        `${idea} wall art`,
-        `${idea} indoor plant`,
-        `${idea} shelving`,
-        `${idea} cute decor etsy`
-      ];
-      const set = new Set(queries.concat(extra));
-      queries = Array.from(set).slice(0, 12);
-    }
-    console.log('[PRODUCTS] request:', { idea, budget, queries: queries.length, imageSearch: image !== false, intent });
-
-    // Retailers: default is IKEA-only; caller can override
-    let retailers = Array.isArray(retailersInput) && retailersInput.length
-      ? retailersInput
-      : (ikeaOnly ? ['ikea.com'] : ['wayfair.com','westelm.com','cb2.com','crateandbarrel.com','ikea.com','article.com','target.com','etsy.com']);
-
-    const allTargets = [];
-    const seenTarget = new Set();
-    const pushTargets = (arr) => {
-      for (const t of arr) {
-        const u = t.pageUrl || t.imageUrl;
-        if (!u || seenTarget.has(u)) continue;
-        seenTarget.add(u);
-        allTargets.push(t);
-      }
-    };
-    const initialTasks = queries.map(q => async () => {
-      const targets = await searchProductsWithPSE({ query: q, limit: 10, sites: retailers, imageSearch: image !== false, start: 1 });
-      pushTargets(targets);
-      console.log('[CSE] targets appended:', { q, targets: targets.length });
-    });
-    const limitInit = pLimit(6);
-    await Promise.all(initialTasks.map(t => limitInit(async () => { try { await t(); } catch (e) { console.warn('[CSE] initial task error', e?.message || e); } })));
-    // Hydrate targets into products
-    const products = await hydrateProducts(allTargets);
-    console.log('[HYDRATE] hydrated products:', products.length);
-    console.log('products are', products);
-
-    // De-duplicate across all hydrated batches (by URL)
-    const seenProductUrl = new Set();
-    const productsDeduped = products.filter(p => {
-      const u = p?.url;
-      if (!u || seenProductUrl.has(u)) return false;
-      seenProductUrl.add(u);
-      return true;
-    });
+// `edited` inside `region` (a box, feathered at the edges) over `original` everywhere else,
+// so an edit meant for one spot cannot shift the rest of the photo
+async function blendRegion(original, edited, region) {
+  const base = await sharp((await loadMedia(original)).buf, { limitInputPixels: 40e6 }).rotate().png().toBuffer();
+  const { width, height } = await sharp(base).metadata();
+  const patch = await sharp((await loadMedia(edited)).buf, { limitInputPixels: 40e6 })
+    .rotate()
+    .resize(width, height, { fit: 'fill' })
+    .ensureAlpha()
+    .png()
+    .toBuffer();
+  const feather = Math.max(2, Math.round(Math.min(width, height) * 0.02));
+  const x = Math.max(0, Math.round(region.x * width) - feather);
+  const y = Math.max(0, Math.round(region.y * height) - feather);
+  const w = Math.min(width - x, Math.round(region.w * width) + 2 * feather);
+  const h = Math.min(height - y, Math.round(region.h * height) + 2 * feather);
+  const mask = await sharp(Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}"><rect x="${x}" y="${y}" width="${w}" height="${h}" fill="white"/></svg>`))
+    .blur(feather / 2)
+    .png()
+    .toBuffer();
+  const masked = await sharp(patch).composite([{ input: mask, blend: 'dest-in' }]).png().toBuffer();
+  const out = await sharp(base).composite([{ input: masked }]).jpeg({ quality: 90 }).toBuffer();
+  return (await assetStore.put(out, { source: 'swap' })).url;
+}
 
-    // Normalize (keep items even if price is null)
-    const all = productsDeduped.map(p => ({
-      title: p.title,
-      description: p.description,
-      price: typeof p.price === 'number' ? p.price : null,
-      currency: p.currency || 'USD',
-      image: p.images?.[0] || null,
-      url: p.url,
-      source: p.source,
-    }));
-
-    // Final defensive de-duplication on normalized records by URL (and image as fallback)
-    const seenAll = new Set();
-    const allUnique = all.filter(p => {
-      const key = p.url || `img:${p.image}`;
-      if (!key || seenAll.has(key)) return false;
-      seenAll.add(key);
-      return true;
-    });
+// --- API: generation jobs ---
+// other users' jobs answer 404, as if they didn't exist
+function ownJob(req) {
+  const job = jobs.get(req.params.id);
+  return job && job.owner === req.userId ? job : null;
+}
 
-    // Derive bands from returned products' prices
-    let priced = allUnique.filter(p => p.price != null).sort((a,b) => a.price - b.price);
-    let avg = null, p25 = null, p75 = null;
-    if (priced.length >= 1) {
-      avg = priced.reduce((s, p) => s + p.price, 0) / priced.length;
-      const atPct = (arr, pct) => {
-        if (!arr.length) return null;
-        const idx = Math.max(0, Math.min(arr.length - 1, Math.floor((arr.length - 1) * pct)));
-        return arr[idx].price;
-      };
-      p25 = atPct(priced, 0.25);
-      p75 = atPct(priced, 0.75);
-      bands = {
-        low: { min: 0, max: p25 },
-        mid: { min: p25, max: p75 },
-        high: { min: p75, max: Number.POSITIVE_INFINITY },
-      };
-    }
+app.get('/api/jobs', (req, res) => {
+  const list = Array.from(jobs.values())
+    .filter(job => job.owner === req.userId)
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .map(job => { const { logs, result, ...rest } = jobView(job); return rest; });
+  res.json({ jobs: list });
+});
 
-    // Build tiers from priced items only; ensure in-range
-    const inRange = (p, range) => p.price != null && p.price >= range.min && p.price < range.max;
-    let low = priced.filter(p => inRange(p, bands.low)).slice(0, 5);
-    let mid = priced.filter(p => inRange(p, bands.mid)).slice(0, 5);
-    let high = priced.filter(p => inRange(p, bands.high)).slice(0, 5);
-
-    // Ensure minimum total priced results (>= 6). If fewer, broaden search.
-    const minTotal = 6;
-    if ((low.length + mid.length + high.length) < minTotal) {
-      console.log('[PRODUCTS] insufficient priced results, expanding search in parallel');
-      const sitePriority = ikeaOnly ? ['ikea.com'] : ['ikea.com','article.com','cb2.com','crateandbarrel.com','westelm.com','wayfair.com','target.com','etsy.com'];
-      const startPages = [1, 11, 21];
-      const expandTasks = [];
-      for (const site of sitePriority) {
-        for (const s of startPages) {
-          for (const q of queries.slice(0, 8)) {
-            expandTasks.push(async () => {
-              const more = await searchProductsWithPSE({ query: q, limit: 10, sites: [site], imageSearch: image !== false, start: s });
-              pushTargets(more);
-              const newProducts = await hydrateProducts(more);
-              products.push(...newProducts);
-              const all2 = products.map(p => ({
-                title: p.title,
-                description: p.description,
-                price: typeof p.price === 'number' ? p.price : null,
-                currency: p.currency || 'USD',
-                image: p.images?.[0] || null,
-                url: p.url,
-                source: p.source,
-              }));
-              // de-dup all2 then recalc priced
-              const seen2 = new Set();
-              const all2u = all2.filter(p => {
-                const key = p.url || `img:${p.image}`;
-                if (!key || seen2.has(key)) return false;
-                seen2.add(key);
-                return true;
-              });
-              priced = all2u.filter(p => p.price != null).sort((a,b) => a.price - b.price);
-              if (priced.length >= 1) {
-                avg = priced.reduce((s, p) => s + p.price, 0) / priced.length;
-                const atPct = (arr, pct) => {
-                  if (!arr.length) return null;
-                  const idx = Math.max(0, Math.min(arr.length - 1, Math.floor((arr.length - 1) * pct)));
-                  return arr[idx].price;
-                };
-                p25 = atPct(priced, 0.25);
-                p75 = atPct(priced, 0.75);
-                bands = { low: { min: 0, max: p25 }, mid: { min: p25, max: p75 }, high: { min: p75, max: Number.POSITIVE_INFINITY } };
-              }
-              low = priced.filter(p => inRange(p, bands.low)).slice(0, 5);
-              mid = priced.filter(p => inRange(p, bands.mid)).slice(0, 5);
-              high = priced.filter(p => inRange(p, bands.high)).slice(0, 5);
-            });
-          }
-        }
-      }
-      const limitExpand = pLimit(6);
-      let stop = false;
-      await Promise.all(expandTasks.map(task => limitExpand(async () => {
-        if (stop) return;
-        try { await task(); } catch (e) { console.warn('[EXPAND] task error', e?.message || e); }
-        if ((low.length + mid.length + high.length) >= minTotal) stop = true;
-      })));
-    }
+app.get('/api/jobs/:id', (req, res) => {
+  const job = ownJob(req);
+  if (!job) return res.status(404).json({ error: 'Unknown or expired job' });
+  res.json(jobView(job, { logsSince: Number(req.query.logsSince) || 0 }));
+});
+
+// 200 with the result once succeeded, 202 while pending
+app.get('/api/jobs/:id/result', (req, res) => {
+  const job = ownJob(req);
+  if (!job) return res.status(404).json({ error: 'Unknown or expired job' });
+  if (job.status === 'succeeded') return res.json(job.result);
+  if (!JOB_FINAL.has(job.status)) return res.status(202).json({ status: job.status, progress: job.progress });
+  res.status(job.status === 'cancelled' ? 409 : 500).json({ status: job.status, error: job.error });
+});
+
+// Server-Sent Events: a snapshot first, then status, log and a final
+// succeeded/failed/cancelled event carrying the full job
+app.get('/api/jobs/:id/events', (req, res) => {
+  const job = ownJob(req);
+  if (!job) return res.status(404).json({ error: 'Unknown or expired job' });
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  // EventSource resends the count of logs already seen as Last-Event-ID
+  send('snapshot', jobView(job, { logsSince: Number(req.get('Last-Event-ID')) || 0 }));
+  if (JOB_FINAL.has(job.status)) {
+    send(job.status, jobView(job, { logsSince: Infinity }));
+    return res.end();
+  }
+  const listener = (event, data) => {
+    if (event === 'log') res.write(`id: ${job.logOffset + job.logs.length}\n`);
+    send(event, data);
+    if (JOB_FINAL.has(event)) res.end();
+  };
+  job.listeners.add(listener);
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    job.listeners.delete(listener);
+  });
+});
+
+app.post('/api/jobs/:id/cancel', (req, res) => {
+  const job = ownJob(req);
+  if (!job) return res.status(404).json({ error: 'Unknown or expired job' });
+  const cancelled = cancelJob(job);
+  res.status(cancelled ? 200 : 409).json({ cancelled, status: job.status });
+});
 
-    res.json({ bands: { ...bands, avg }, low, mid, high, allCount: productsDeduped.length, pricedCount: priced.length, intent, ikeaOnly, retailers });
+// --- API: design projects ---
+app.get('/api/projects', async (req, res) => {
+  try {
+    res.json({ projects: (await projectStore.list()).map(projectSummary) });
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: String(err.message || err) });
   }
 });
 
-// --- API: Gemini philosophy for tiers ---
-app.post('/api/philosophy', async (req, res) => {
+// POST /api/projects (multipart: optional "room" photo, name, market)
+app.post('/api/projects', upload.single('room'), async (req, res) => {
   try {
-    const { description = '', budget = null, tiers = {} } = req.body || {};
-    const low = Array.isArray(tiers.low) ? tiers.low : [];
-    const mid = Array.isArray(tiers.mid) ? tiers.mid : [];
-    const high = Array.isArray(tiers.high) ? tiers.high : [];
-    if (!genAI) {
-      const brief = (arr, label) => arr.length ? `${label}: focuses on ${arr[0]?.title || 'cohesive items'} within budget.` : `${label}: no picks.`;
-      return res.json({
-        low: brief(low, 'Low'),
-        mid: brief(mid, 'Mid'),
-        high: brief(high, 'High'),
-      });
-    }
-    const model = genAI.getGenerativeModel({ model: 'gemini-2.5-flash' });
-    const fmt = (arr) => arr.map(p => `- ${p.title || 'Product'} | ${p.source || ''} | ${p.currency || 'USD'} ${p.price ?? ''}`).join('\n');
-    const prompt = `You are a product design assistant. The user said: "${description}". Budget (approx): ${budget ?? 'n/a'}.
-We have three tiers of cohesive product options chosen to work well together in a single room.
-
-Low tier:\n${fmt(low)}
-Mid tier:\n${fmt(mid)}
-High tier:\n${fmt(high)}
-
-For each tier, write 2 concise sentences that explain the philosophy behind the choices (materials, forms, palette, and how they mesh together). Avoid marketing fluff. Return strict JSON with keys low, mid, high, each a short string.`;
-    const resp = await model.generateContent(prompt);
-    const text = resp.response.text();
-    let json = null;
-    try {
-      const body = (text.match(/\{[\s\S]*\}$/) || [])[0] || text;
-      json = JSON.parse(body);
-    } catch {
-      json = { low: 'Balanced and minimal.', mid: 'Comfort and durability.', high: 'Premium materials and detail.' };
-    }
-    res.json({
-      low: String(json.low || 'Cohesive, budget-friendly essentials.'),
-      mid: String(json.mid || 'Comfort-driven, durable selections.'),
-      high: String(json.high || 'Premium textures and finishes.'),
-    });
+    const { name, market } = req.body || {};
+    if (market && !parseMarket(market)) return res.status(400).json({ error: 'Invalid market' });
+    if (req.file && !/^image\//.test(req.file.mimetype || '')) return res.status(400).json({ error: 'Room photo must be an image' });
+    let project = await projectStore.create({ name, market: market ? parseMarket(market).locale : null });
+    if (req.file) project = await projectStore.saveRoom(project.id, req.file);
+    console.log('[PROJECT] created', project.id);
+    res.status(201).json(project);
   } catch (err) {
     console.error(err);
-    res.status(500).json({ error: String(err.message || err) });
+    res.status(err.status || 500).json({ error: String(err.message || err) });
   }
 });
 
-// --- API: Compose L/M/H images with fal nano-banana/edit ---
-app.post('/api/fal/compose', upload.single('space'), async (req, res) => {
-  try {
-    const { prompt, productsJson, baseImageUrl, baseImageDataUrl } = req.body;
-    const tiers = JSON.parse(productsJson || '{}');
-    let baseImage = null;
-    if (typeof baseImageDataUrl === 'string' && baseImageDataUrl.startsWith('data:')) {
-      baseImage = baseImageDataUrl.trim();
-      console.log('[FAL:compose] baseImageDataUrl used (len=%d)', baseImage.length);
-    } else if (req.file) {
-      baseImage = `data:${req.file.mimetype};base64,${req.file.buffer.toString('base64')}`;
-      console.log('[FAL:compose] file:', { type: req.file.mimetype, size: req.file.size });
-    } else if (typeof baseImageUrl === 'string' && baseImageUrl.trim()) {
-      baseImage = String(baseImageUrl).trim();
-      console.log('[FAL:compose] baseImageUrl used');
-    } else {
-      throw new Error('Missing base image (upload file as "space" or provide baseImageUrl/baseImageDataUrl)');
-    }
-    console.log('[FAL:compose] tiers:', {
-      low: (tiers.low || []).length,
-      mid: (tiers.mid || []).length,
-      high: (tiers.high || []).length,
-    });
+app.get('/api/projects/:id', async (req, res) => {
+  const project = await projectStore.get(req.params.id);
+  if (!project) return res.status(404).json({ error: 'Unknown project' });
+  res.json(project);
+});
 
-    async function renderTier(name, productUrls = []) {
-      const input = {
-        prompt:
-          (prompt && String(prompt)) ||
-          'Add only the referenced products to this exact room without changing the background or existing elements. Do not modify or remove any existing furniture, decor, walls, windows, floor, ceiling, or lighting. Preserve the original style, layout, colors, materials, geometry, perspective, and camera angle. Maintain natural lighting and shadows consistent with the room. Include every provided product exactly once; no duplicates, no substitutions, no omissions.',
-        image_urls: [baseImage, ...productUrls].filter(Boolean),
-        num_images: 1,
-      };
-      const out = await fal.subscribe('fal-ai/nano-banana/edit', { input });
-      const url = out?.data?.images?.[0]?.url;
-      if (!url) throw new Error(`fal edit returned no image for ${name}`);
-      return url;
+// PATCH /api/projects/:id { name?, selectedTier?, composeBaseUrl?, market?, selection?, philosophy? }
+app.patch('/api/projects/:id', async (req, res) => {
+  try {
+    const body = req.body || {};
+    if ('selectedTier' in body && body.selectedTier !== null && !PROJECT_TIERS.includes(body.selectedTier)) {
+      return res.status(400).json({ error: 'selectedTier must be low, mid, high or null' });
     }
-
-    const [lowUrl, midUrl, highUrl] = await Promise.all([
-      renderTier('low', tiers.low || []),
-      renderTier('mid', tiers.mid || []),
-      renderTier('high', tiers.high || []),
-    ]);
-
-    res.json({ lowUrl, midUrl, highUrl });
+    if ('market' in body && body.market !== null && !parseMarket(body.market)) return res.status(400).json({ error: 'Invalid market' });
+    if ('selection' in body && (typeof body.selection !== 'object' || !body.selection)) return res.status(400).json({ error: 'selection must be { low, mid, high }' });
+    let space = null;
+    if ('space' in body) {
+      try { space = parseSpace(body.space); }
+      catch (e) { return res.status(400).json({ error: e.message }); }
+    }
+    const project = await projectStore.update(req.params.id, (p) => {
+      if (typeof body.name === 'string' && body.name.trim()) p.name = body.name.trim().slice(0, 120);
+      if ('selectedTier' in body) p.selectedTier = body.selectedTier;
+      if ('composeBaseUrl' in body) p.composeBaseUrl = typeof body.composeBaseUrl === 'string' ? body.composeBaseUrl : null;
+      if ('market' in body) p.market = body.market ? parseMarket(body.market).locale : null;
+      if ('selection' in body) {
+        p.selection = Object.fromEntries(PROJECT_TIERS.map(t => [t, Array.isArray(body.selection[t]) ? body.selection[t] : []]));
+      }
+      if ('philosophy' in body) p.philosophy = body.philosophy || null;
+      if ('space' in body) p.space = space;
+    });
+    if (!project) return res.status(404).json({ error: 'Unknown project' });
+    res.json(project);
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: String(err.message || err) });
   }
 });
 
-// --- API: Reorganize room layout to fit selected tier ---
-app.post('/api/fal/reorganize', upload.single('space'), async (req, res) => {
-  try {
-    const { productsJson, tier, prompt } = req.body || {};
-    if (!req.file) throw new Error('Missing space image');
-    const tiers = JSON.parse(productsJson || '{}');
-    const chosen = Array.isArray(tiers?.[tier]) ? tiers[tier] : [];
-    if (!chosen.length) throw new Error('No products provided for the selected tier');
-
-    const dataUri = `data:${req.file.mimetype};base64,${req.file.buffer.toString('base64')}`;
-    const basePrompt =
-      'Preserve all existing furniture and decor in this exact room; do not remove or restyle them. Reorganize and reposition the existing furniture layout to accommodate the referenced new products, creating a cohesive arrangement. Maintain the room’s original materials, colors, geometry, and camera perspective. Keep natural lighting and realistic shadows. Include every referenced product exactly once; no duplicates, no omissions. Avoid adding or deleting elements beyond positioning.';
-    const input = {
-      prompt: (prompt && String(prompt)) || basePrompt,
-      image_urls: [dataUri, ...chosen].filter(Boolean),
-      num_images: 1,
-    };
-    const out = await fal.subscribe('fal-ai/nano-banana/edit', { input });
-    const url = out?.data?.images?.[0]?.url;
-    if (!url) throw new Error('fal edit returned no image for reorganize');
-    res.json({ reorgUrl: url });
+app.delete('/api/projects/:id', async (req, res) => {
+  try {
+    if (!(await projectStore.remove(req.params.id))) return res.status(404).json({ error: 'Unknown project' });
+    console.log('[PROJECT] deleted', req.params.id);
+    res.status(204).end();
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: String(err.message || err) });
   }
 });
 
-// --- API: Finalize -> isometric edit, then 3D with Hunyuan3D v2.1 ---
-app.post('/api/fal/finalize', async (req, res) => {
-  try {
-    const { selectedImageUrl, selectedImageDataUrl, selectedTier, tierTitles } = req.body;
-    const img = (typeof selectedImageDataUrl === 'string' && selectedImageDataUrl.startsWith('data:'))
-      ? selectedImageDataUrl
-      : selectedImageUrl;
-    if (!img) throw new Error('Missing selected image');
-    console.log('[FAL:finalize] input image len:', img.length);
-
-    // Step 1: make an isometric-style view
-    const isoPrompt = [
-      'Reframe this exact room as a clean isometric view (30–40°), orthographic feel.',
-      'The perspective should be isometric, looking down into the room from a diagonal angle.',
-      'Override any previous instruction that preserves the original background or camera perspective — change the viewpoint to isometric.',
-      selectedTier ? `Reflect arrangement consistent with the selected tier: ${String(selectedTier).toUpperCase()}.` : '',
-      Array.isArray(tierTitles) && tierTitles.length ? `Clearly depict: ${tierTitles.slice(0,8).join(', ')}.` : '',
-      'Maintain the room’s materials and objects; do not add or remove items beyond the selection. Preserve geometry and realistic lighting.'
-    ].filter(Boolean).join(' ');
-
-    const iso = await fal.subscribe('fal-ai/nano-banana/edit', {
-      input: {
-        prompt: isoPrompt,
-        image_urls: [img],
-        num_images: 1,
-      },
-    });
-    const isoUrl = iso?.data?.images?.[0]?.url;
-    if (!isoUrl) throw new Error('No isometric image from nano-banana');
-
-    // Step 2 (optional): 3D generation — disabled unless ENABLE_3D=true
-    if (!ENABLE_3D) {
-      return res.json({ isoImageUrl: isoUrl, glbUrl: null, threeDDisabled: true });
-    }
-
-    // 3D via fal-ai/trellis (logs enabled)
-    function findFirstGlbUrl(obj) {
-      try {
-        const stack = [obj];
-        while (stack.length) {
-          const cur = stack.pop();
-          if (!cur) continue;
-          if (typeof cur === 'string' && /\.glb(\?.*)?$/i.test(cur)) return cur;
-          if (Array.isArray(cur)) { for (const v of cur) stack.push(v); continue; }
-          if (typeof cur === 'object') {
-            for (const k of Object.keys(cur)) stack.push(cur[k]);
-          }
-        }
-      } catch {}
-      return null;
-    }
-    function findFirstAbsoluteUrl(obj) {
-      try {
-        const stack = [obj];
-        while (stack.length) {
-          const cur = stack.pop();
-          if (!cur) continue;
-          if (typeof cur === 'string' && /^https?:\/\//i.test(cur)) return cur;
-          if (Array.isArray(cur)) { for (const v of cur) stack.push(v); continue; }
-          if (typeof cur === 'object') { for (const k of Object.keys(cur)) stack.push(cur[k]); }
-        }
-      } catch {}
-      return null;
-    }
+app.get('/api/projects/:id/room', async (req, res) => {
+  const project = await projectStore.get(req.params.id);
+  const file = projectStore.roomPath(project);
+  if (!file) return res.status(404).json({ error: 'No room photo' });
+  res.type(project.room.mimeType);
+  res.set('X-Content-Type-Options', 'nosniff');
+  res.sendFile(file);
+});
 
-    const threeD = await fal.subscribe('fal-ai/trellis', {
-      input: { image_url: isoUrl },
-      logs: true,
-      onQueueUpdate: (update) => {
-        if (update?.status === 'IN_PROGRESS' && Array.isArray(update.logs)) {
-          update.logs.map((l) => l.message).forEach((m) => console.log('[TRELLIS]', m));
-        }
-      },
-    });
-    const reqId = threeD?.request_id || threeD?.requestId;
-    // Query the final result for fully-resolved URLs
-    let result;
-    try { result = await fal.queue.result('fal-ai/trellis', { requestId: reqId }); }
-    catch (e) { console.warn('[FINALIZE 3D] queue.result failed, using subscribe data', e?.message || e); }
-    const baseAbs = findFirstAbsoluteUrl(result?.data) || findFirstAbsoluteUrl(threeD?.data);
-    let fileUrl = result?.data?.model_mesh?.url;
-    if (fileUrl && !/^https?:\/\//i.test(fileUrl)) {
-      try {
-        if (baseAbs) fileUrl = new URL(fileUrl, baseAbs).toString();
-        else if (reqId) fileUrl = new URL(fileUrl, `https://queue.fal.run/fal-ai/trellis/requests/${reqId}/`).toString();
-      } catch {}
-    }
-    if (fileUrl) return res.json({ isoImageUrl: isoUrl, glbUrl: fileUrl });
-    // Fallback scanning
-    let glb = findFirstGlbUrl(result?.data) || findFirstGlbUrl(threeD?.data);
-    if (!glb) throw new Error('Trellis did not return a GLB url');
-    if (baseAbs && !/^https?:\/\//i.test(glb)) { try { glb = new URL(glb, baseAbs).toString(); } catch {} }
-    if (!/^https?:\/\//i.test(glb) && reqId) { try { glb = new URL(glb, `https://queue.fal.run/fal-ai/trellis/requests/${reqId}/`).toString(); } catch {} }
-    res.json({ isoImageUrl: isoUrl, glbUrl: glb });
+app.put('/api/projects/:id/room', upload.single('room'), async (req, res) => {
+  try {
+    if (!req.file || !/^image\//.test(req.file.mimetype || '')) return res.status(400).json({ error: 'Upload the room photo as "room"' });
+    if (!(await projectStore.get(req.params.id))) return res.status(404).json({ error: 'Unknown project' });
+    res.json(await projectStore.saveRoom(req.params.id, req.file));
   } catch (err) {
     console.error(err);
-    res.status(500).json({ error: String(err.message || err) });
+    res.status(err.status || 500).json({ error: String(err.message || err) });
   }
 });
 
-// --- API: Generate 3D GLB from an image (isometric or any) ---
-app.post('/api/fal/3d', async (req, res) => {
+// --- API: Compose L/M/H images with fal nano-banana/edit ---
+app.post('/api/fal/compose', upload.single('space'), jobRoute('compose', (req) => {
+  const { prompt, promptId, productsJson, searchId, sizesJson, spaceJson, titlesJson, focus, roomType, style, placementsJson, placementGuide, tier } = req.body || {};
+  const tiers = parseProductsJson(productsJson);
+  const placements = parsePlacements(placementsJson);
+  const guideMode = placementGuide || 'both';
+  if (!PLACEMENT_GUIDE_MODES.includes(guideMode)) throw httpError(400, `placementGuide must be one of: ${PLACEMENT_GUIDE_MODES.join(', ')}`);
+  if (tier && !['low', 'mid', 'high'].includes(tier)) throw httpError(400, 'tier must be low, mid or high');
+  let sizes = {};
+  let space = null;
+  let titles = {};
   try {
-    const { imageUrl, imageDataUrl } = req.body || {};
-    const imgArg = (typeof imageDataUrl === 'string' && imageDataUrl.startsWith('data:'))
-      ? imageDataUrl
-      : imageUrl;
-    if (!imgArg) throw new Error('Missing imageUrl');
-    console.log('[3D] input image:', (imgArg || '').slice(0, 64));
-
-    function findFirstGlbUrl(obj) {
-      try {
-        const stack = [obj];
-        while (stack.length) {
-          const cur = stack.pop();
-          if (!cur) continue;
-          if (typeof cur === 'string' && /\.glb(\?.*)?$/i.test(cur)) return cur;
-          if (Array.isArray(cur)) { for (const v of cur) stack.push(v); continue; }
-          if (typeof cur === 'object') {
-            for (const k of Object.keys(cur)) stack.push(cur[k]);
-          }
-        }
-      } catch {}
-      return null;
+    sizes = JSON.parse(sizesJson || '{}') || {};
+    space = parseSpace(JSON.parse(spaceJson || 'null'));
+    titles = JSON.parse(titlesJson || '{}') || {};
+  } catch (e) {
+    throw e.status ? e : httpError(400, 'sizesJson / spaceJson / titlesJson is not valid JSON');
+  }
+  // a caller's own prompt wins over the templates and is recorded as "custom"
+  const template = prompt ? null : resolvePrompt('compose', promptId);
+  const placed = Object.values(placements).some(list => list.some(Boolean));
+  if (placed && template && !template.text.includes('{{placement}}')) {
+    throw httpError(400, `${template.id} has no placement slot; use a later compose template with placementsJson`);
+  }
+  const vars = { focus: focus || null, roomType: roomTypeName(roomType), style: stylePreset(style) };
+  const baseImage = requestBaseImage(req, 'FAL:compose');
+  if (!baseImage) throw httpError(400, 'Missing base image (upload file as "space" or provide baseImageUrl/baseImageDataUrl)');
+  const names = tier ? [tier] : ['low', 'mid', 'high'];
+  console.log('[FAL:compose] tiers:', Object.fromEntries(names.map(n => [n, (tiers[n] || []).length])), placed ? `placement guide: ${guideMode}` : '');
+  return { prompt, template, vars, titles, tiers, sizes, space, baseImage, searchId, placements, guideMode, tier: tier || null, names };
+}, async ({ prompt, template, vars, titles, tiers, sizes, space, baseImage, placements, guideMode, names }, ctx) => {
+  let done = 0;
+  const guides = {};
+  async function renderTier(name, productUrls = []) {
+    const sizeHint = sizeHintPrompt(sizes[name], space);
+    const productTitles = (Array.isArray(titles[name]) ? titles[name] : []).map(t => String(t).slice(0, 80)).slice(0, 8);
+    const imageUrls = [baseImage, ...productUrls].filter(Boolean);
+    const tierPlacements = (placements[name] || []).slice(0, imageUrls.length - 1);
+    let guideImage = null;
+    if (tierPlacements.some(Boolean) && guideMode !== 'prompt') {
+      guideImage = guides[name] = await placementGuideImage(baseImage, tierPlacements);
     }
+    const placement = placementPrompt(tierPlacements, { guideNumber: guideImage && imageUrls.length + 1, directives: guideMode !== 'image' });
+    const url = await ctx.generator.edit(ctx, {
+      prompt: template
+        ? renderTemplate(template.text, { ...vars, tier: name, productTitles, sizeHint, placement })
+        : String(prompt) + sizeHint + placement,
+      imageUrls,
+      tag: `compose:${name}`,
+      placements: tierPlacements,
+      hintImages: guideImage ? [guideImage] : [],
+    });
+    ctx.progress(++done / names.length, `Rendered ${name} tier`);
+    return url;
+  }
 
-    // helper to find first absolute URL in nested data
-    function findFirstAbsoluteUrl(obj) {
-      try {
-        const stack = [obj];
-        while (stack.length) {
-          const cur = stack.pop();
-          if (!cur) continue;
-          if (typeof cur === 'string' && /^https?:\/\//i.test(cur)) return cur;
-          if (Array.isArray(cur)) { for (const v of cur) stack.push(v); continue; }
-          if (typeof cur === 'object') { for (const k of Object.keys(cur)) stack.push(cur[k]); }
-        }
-      } catch {}
-      return null;
-    }
+  ctx.progress(0, names.length > 1 ? 'Rendering tiers' : `Rendering ${names[0]} tier`);
+  const urls = await Promise.all(names.map(name => renderTier(name, tiers[name] || [])));
+  const out = { lowUrl: null, midUrl: null, highUrl: null };
+  names.forEach((name, i) => { out[`${name}Url`] = urls[i]; });
+  return { ...out, promptId: template?.id || 'custom', placementGuides: guides };
+}));
 
-    // Reject blob: URLs early; they are not fetchable from server
-    if (typeof imgArg === 'string' && /^blob:/i.test(imgArg)) {
-      return res.status(422).json({ error: 'Unprocessable Entity: blob URL not fetchable; send an absolute URL or data URI' });
-    }
+// --- API: Reorganize room layout to fit selected tier ---
+app.post('/api/fal/reorganize', upload.single('space'), jobRoute('reorganize', (req) => {
+  const { productsJson, tier, prompt, promptId, titlesJson, roomType, style } = req.body || {};
+  const baseImage = requestBaseImage(req, 'FAL:reorganize');
+  if (!baseImage) throw httpError(400, 'Missing space image');
+  const tiers = parseProductsJson(productsJson);
+  const chosen = Array.isArray(tiers?.[tier]) ? tiers[tier] : [];
+  if (!chosen.length) throw httpError(400, 'No products provided for the selected tier');
+  let titles = {};
+  try { titles = JSON.parse(titlesJson || '{}') || {}; }
+  catch { throw httpError(400, 'titlesJson is not valid JSON'); }
+  const rendered = prompt ? { id: 'custom', prompt: String(prompt) } : renderPrompt('reorganize', {
+    tier,
+    productTitles: (Array.isArray(titles[tier]) ? titles[tier] : []).map(t => String(t).slice(0, 80)).slice(0, 8),
+    roomType: roomTypeName(roomType),
+    style: stylePreset(style),
+  }, promptId);
+  return { baseImage, chosen, prompt: rendered.prompt, promptId: rendered.id, tier };
+}, async ({ baseImage, chosen, prompt, promptId }, ctx) => {
+  ctx.progress(0, 'Reorganizing layout');
+  const url = await ctx.generator.edit(ctx, {
+    prompt,
+    imageUrls: [baseImage, ...chosen].filter(Boolean),
+    tag: 'reorganize',
+  });
+  return { reorgUrl: url, promptId };
+}));
 
-    const threeD = await fal.subscribe('fal-ai/trellis', {
-      input: { image_url: imgArg },
-      logs: true,
-      onQueueUpdate: (update) => {
-        if (update?.status === 'IN_PROGRESS' && Array.isArray(update.logs)) {
-          update.logs.map((l) => l.message).forEach((m) => console.log('[TRELLIS]', m));
-        }
-      },
-    });
+// --- API: Swap or remove one product in an existing composite ---
+// `products` is the tier's current list and `target` the index (or url / image) of the one
+// to change. The replacement goes where the old product stood, or at `placement`; with
+// `region` (a box) only that part of the image may change. The result carries the tier's
+// updated `products` and `placements` (both in `products` order).
+app.post('/api/fal/swap', jobRoute('swap', (req) => {
+  const { imageUrl, imageDataUrl, imageAssetId, tier, action, products, target, replacement, placement, placements, region, prompt, promptId, roomType, style } = req.body || {};
+  const image = assetRefUrl(imageAssetId) || ((typeof imageDataUrl === 'string' && imageDataUrl.startsWith('data:'))
+    ? imageDataUrl
+    : imageUrl);
+  if (!image) throw httpError(400, 'Missing composite image (imageUrl, imageDataUrl or imageAssetId)');
+  if (typeof image === 'string' && /^blob:/i.test(image)) {
+    throw httpError(422, 'Unprocessable Entity: blob URL not fetchable; send an absolute URL or data URI');
+  }
+  if (!['low', 'mid', 'high'].includes(tier)) throw httpError(400, 'tier must be low, mid or high');
+  if (!['remove', 'replace'].includes(action)) throw httpError(400, 'action must be remove or replace');
+  if (!Array.isArray(products) || !products.length || products.some(p => !p || typeof p !== 'object')) {
+    throw httpError(400, "products must list the tier's current products");
+  }
+  const index = Number.isInteger(target) ? target : products.findIndex(p => target && (p.url === target || p.image === target));
+  if (!(index >= 0 && index < products.length)) throw httpError(400, 'target must be an index into products or a product url / image');
+  const old = products[index];
+  if (!old.image) throw httpError(400, 'The target product has no image');
+  if (action === 'replace' && (!replacement || typeof replacement !== 'object' || !replacement.image)) {
+    throw httpError(400, 'replace needs a replacement product with an image');
+  }
+  if (action === 'remove' && (replacement || placement)) throw httpError(400, 'remove takes no replacement or placement');
+  if (placements != null && !Array.isArray(placements)) throw httpError(400, 'placements must be an array in products order');
+  const current = products.map((_, i) => parsePlacement(placements?.[i], `placements[${i}]`));
+  const box = parsePlacement(region, 'region');
+  if (box && box.w == null) throw httpError(400, 'region must be a box { x, y, w, h }');
+  const placeAt = action === 'replace' ? parsePlacement(placement, 'placement') || current[index] : null;
 
-    const reqId = threeD?.request_id || threeD?.requestId;
-    console.log('[3D] requestId:', reqId);
-    try {
-      console.log('[3D] data keys:', Object.keys(threeD?.data || {}));
-    } catch {}
+  const next = products.slice();
+  const nextPlacements = current.slice();
+  if (action === 'replace') {
+    next[index] = replacement;
+    nextPlacements[index] = placeAt;
+  } else {
+    next.splice(index, 1);
+    nextPlacements.splice(index, 1);
+  }
+  const title = (p) => (p.title ? String(p.title).slice(0, 80) : null);
+  const rendered = prompt ? { id: 'custom', prompt: String(prompt) } : renderPrompt('swap', {
+    tier,
+    productTitles: next.map(title).filter(Boolean).slice(0, 8),
+    roomType: roomTypeName(roomType),
+    style: stylePreset(style),
+    replace: action === 'replace',
+    sameSpot: action === 'replace' && !placeAt,
+    target: title(old) || 'item',
+    targetImage: action === 'replace' ? 3 : 2,
+    sizeHint: action === 'replace' && replacement.sizeCm ? sizeHintPrompt([{ title: title(replacement), ...replacement.sizeCm }], null) : '',
+    placement: placeAt ? placementPrompt([{ ...placeAt, title: title(replacement) }]) : '',
+  }, promptId);
+  console.log(`[FAL:swap] ${action} ${tier}[${index}]`, title(old), action === 'replace' ? `-> ${title(replacement)}` : '', box ? 'in region' : '');
+  return { image, tier, action, index, old, replacement: replacement || null, placeAt, region: box, next, nextPlacements, prompt: rendered.prompt, promptId: rendered.id };
+}, async ({ image, tier, action, old, replacement, placeAt, region, next, nextPlacements, prompt, promptId }, ctx) => {
+  ctx.progress(0, action === 'replace' ? 'Swapping product' : 'Removing product');
+  const edited = await ctx.generator.edit(ctx, {
+    prompt,
+    imageUrls: replacement ? [image, replacement.image] : [image],
+    tag: `swap:${tier}`,
+    placements: replacement ? [placeAt || region] : [],
+    hintImages: [old.image],
+  });
+  let swapUrl = edited;
+  if (region) {
+    ctx.progress(0.9, 'Keeping the rest of the image');
+    swapUrl = await blendRegion(image, edited, region);
+  }
+  return { swapUrl, tier, action, products: next, placements: nextPlacements, removed: old, added: replacement, promptId };
+}));
 
-    // Query final result via queue.result to get fully-resolved file URLs
-    let result;
-    try { result = await fal.queue.result('fal-ai/trellis', { requestId: reqId }); }
-    catch (e) { console.warn('[3D] queue.result failed (using subscribe data)', e?.message || e); }
+// --- API: Finalize -> isometric edit, then 3D with Hunyuan3D v2.1 ---
+app.post('/api/fal/finalize', jobRoute('finalize', (req) => {
+  const { selectedImageUrl, selectedImageDataUrl, selectedAssetId, selectedTier, tierTitles, promptId, roomType, style } = req.body || {};
+  const img = assetRefUrl(selectedAssetId) || ((typeof selectedImageDataUrl === 'string' && selectedImageDataUrl.startsWith('data:'))
+    ? selectedImageDataUrl
+    : selectedImageUrl);
+  if (!img) throw httpError(400, 'Missing selected image');
+  console.log('[FAL:finalize] input image len:', img.length);
+  const { id, prompt: isoPrompt } = renderPrompt('finalize', {
+    tier: selectedTier || null,
+    productTitles: Array.isArray(tierTitles) ? tierTitles.slice(0, 8) : [],
+    roomType: roomTypeName(roomType),
+    style: stylePreset(style),
+  }, promptId);
+  return { img, selectedTier, tierTitles, isoPrompt, promptId: id };
+}, async ({ img, isoPrompt, promptId }, ctx) => {
+  // Step 1: make an isometric-style view
+  ctx.progress(0, 'Rendering isometric view');
+  const isoUrl = await ctx.generator.edit(ctx, { prompt: isoPrompt, imageUrls: [img], tag: 'finalize:iso' });
 
-    const baseAbs = findFirstAbsoluteUrl(result?.data) || findFirstAbsoluteUrl(threeD?.data);
-    let fileUrl = result?.data?.model_mesh?.url;
-    const fileType = result?.data?.model_mesh?.content_type;
-    if (fileUrl) {
-      if (!/^https?:\/\//i.test(fileUrl)) {
-        try {
-          if (baseAbs) fileUrl = new URL(fileUrl, baseAbs).toString();
-          else if (reqId) fileUrl = new URL(fileUrl, `https://queue.fal.run/fal-ai/trellis/requests/${reqId}/`).toString();
-        } catch {}
-      }
-      console.log('[3D] model_mesh url:', fileUrl, 'type:', fileType);
-      const proxyUrl = /^https?:\/\//i.test(fileUrl) ? `/api/proxy?u=${encodeURIComponent(fileUrl)}` : null;
-      return res.json({ glbUrl: fileUrl, proxyUrl });
-    }
+  // Step 2 (optional): 3D generation — disabled unless ENABLE_3D=true
+  if (!ENABLE_3D) {
+    return { isoImageUrl: isoUrl, glbUrl: null, threeDDisabled: true, promptId };
+  }
+  ctx.progress(0.5, 'Generating 3D model');
+  const { url: glbUrl } = await model3dFor(ctx, isoUrl, 'FINALIZE 3D');
+  return { isoImageUrl: isoUrl, glbUrl, promptId };
+}));
 
-    // Fallback: traverse for any .glb link
-    let glb = findFirstGlbUrl(result?.data) || findFirstGlbUrl(threeD?.data);
-    if (!glb) throw new Error('Trellis did not return a GLB url');
-    if (baseAbs && !/^https?:\/\//i.test(glb)) {
-      try {
-        if (glb.startsWith('/')) {
-          const o = new URL(baseAbs);
-          glb = `${o.origin}${glb}`;
-        } else {
-          glb = new URL(glb, baseAbs).toString();
-        }
-      } catch (e) { console.warn('[3D] Failed to resolve relative GLB with base', baseAbs, e?.message || e); }
-    }
-    if (!/^https?:\/\//i.test(glb) && reqId) {
-      try { glb = new URL(glb, `https://queue.fal.run/fal-ai/trellis/requests/${reqId}/`).toString(); }
-      catch (e) { console.warn('[3D] Could not resolve GLB against queue base', e?.message || e); }
-    }
-    console.log('[3D] GLB URL:', glb);
-    const proxyUrl = /^https?:\/\//i.test(glb) ? `/api/proxy?u=${encodeURIComponent(glb)}` : null;
-    res.json({ glbUrl: glb, proxyUrl });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: String(err.message || err) });
+// --- API: Generate 3D GLB from an image (isometric or any) ---
+app.post('/api/fal/3d', jobRoute('3d', (req) => {
+  const { imageUrl, imageDataUrl, imageAssetId } = req.body || {};
+  const imgArg = assetRefUrl(imageAssetId) || ((typeof imageDataUrl === 'string' && imageDataUrl.startsWith('data:'))
+    ? imageDataUrl
+    : imageUrl);
+  if (!imgArg) throw httpError(400, 'Missing imageUrl');
+  // Reject blob: URLs early; they are not fetchable from server
+  if (typeof imgArg === 'string' && /^blob:/i.test(imgArg)) {
+    throw httpError(422, 'Unprocessable Entity: blob URL not fetchable; send an absolute URL or data URI');
   }
-});
+  console.log('[3D] input image:', (imgArg || '').slice(0, 64));
+  return { imgArg };
+}, async ({ imgArg }, ctx) => {
+  ctx.progress(0, 'Generating 3D model');
+  const { url: glb, reused } = await model3dFor(ctx, imgArg, '3D');
+  const proxyUrl = /^https?:\/\//i.test(glb) ? `/api/proxy?u=${encodeURIComponent(glb)}` : null;
+  return { glbUrl: glb, proxyUrl, reused };
+}));
+
+// --- API: asset proxy ---
+// Streams remote images and GLBs for the web app, fetched through safeFetch. Range and
+// conditional requests pass through, as do compressed bodies (still encoded); bodies larger
+// than PROXY_MAX_MB are cut off.
+const PROXY_MAX_BYTES = Number(process.env.PROXY_MAX_MB || 100) * 1024 * 1024;
+const PROXY_TIMEOUT_MS = 20000;
+const PROXY_CACHE_SECONDS = Number(process.env.PROXY_CACHE_SECONDS || 86400);
+const PROXY_CONTENT_TYPES = /^(image\/|model\/|(application|binary)\/octet-stream)/i;
+// bodies are passed through still encoded, so length and range headers stay right
+const PROXY_PASS_HEADERS = ['content-type', 'content-length', 'content-range', 'content-encoding', 'accept-ranges', 'etag', 'last-modified', 'content-disposition', 'cache-control', 'vary'];
+const PROXY_FORWARD_HEADERS = ['range', 'if-range', 'if-none-match', 'if-modified-since', 'accept-encoding'];
 
-// simple proxy for remote assets (e.g., GLB) with logging
+// GET /api/proxy?u=<url>
 app.get('/api/proxy', async (req, res) => {
+  const ac = new AbortController();
+  res.on('close', () => ac.abort());
+  // the timeout covers connecting and headers; a streaming body may take longer
+  const timer = setTimeout(() => ac.abort(), PROXY_TIMEOUT_MS);
   try {
-    const u = req.query.u;
-    if (typeof u !== 'string' || !/^https?:\/\//i.test(u)) return res.status(400).send('Invalid url');
-    console.log('[PROXY] GET', u);
-    const r = await fetchWithTimeout(u, {}, 20000);
-    if (!r.ok) return res.status(r.status).send('Upstream error');
-    // pass through headers
-    const ct = r.headers.get('content-type') || 'application/octet-stream';
-    res.setHeader('Content-Type', ct);
-    const disp = r.headers.get('content-disposition');
-    if (disp) res.setHeader('Content-Disposition', disp);
-    const buf = Buffer.from(await r.arrayBuffer());
-    res.end(buf);
+    const headers = { Accept: 'image/*,model/*,application/octet-stream;q=0.9,*/*;q=0.5' };
+    for (const h of PROXY_FORWARD_HEADERS) if (req.headers[h]) headers[h] = req.headers[h];
+    // compress: false keeps the body as the upstream encoded it, matching its headers
+    const { response: upstream, url: target } = await safeFetch(String(req.query.u || ''), { signal: ac.signal, headers, compress: false });
+    clearTimeout(timer);
+    console.log('[PROXY] GET', target.href, upstream.status);
+    const type = upstream.headers.get('content-type') || 'application/octet-stream';
+    if (upstream.status !== 304 && !upstream.ok) {
+      upstream.body?.resume();
+      return res.status(upstream.status === 404 ? 404 : 502).json({ error: `Upstream error ${upstream.status}` });
+    }
+    if (upstream.status !== 304 && !PROXY_CONTENT_TYPES.test(type)) {
+      upstream.body?.resume();
+      return res.status(415).json({ error: `Not an image or model: ${type}` });
+    }
+    if (Number(upstream.headers.get('content-length')) > PROXY_MAX_BYTES) {
+      upstream.body?.resume();
+      return res.status(413).json({ error: 'Asset too large' });
+    }
+    res.status(upstream.status);
+    for (const h of PROXY_PASS_HEADERS) {
+      const v = upstream.headers.get(h);
+      if (v) res.setHeader(h, v);
+    }
+    if (!upstream.headers.get('cache-control')) res.setHeader('Cache-Control', `public, max-age=${PROXY_CACHE_SECONDS}`);
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    if (upstream.status === 304 || !upstream.body) return res.end();
+    let bytes = 0;
+    const limit = new Transform({
+      transform(chunk, _enc, cb) {
+        bytes += chunk.length;
+        cb(bytes > PROXY_MAX_BYTES ? new Error('Proxy size limit exceeded') : null, chunk);
+      },
+    });
+    await pipeline(upstream.body, limit, res);
   } catch (e) {
+    if (ac.signal.aborted && res.destroyed) return;
+    if (e.status) {
+      if (!res.headersSent) res.status(e.status).json({ error: e.message });
+      return;
+    }
     console.error('[PROXY] error', e?.message || e);
-    res.status(500).send('Proxy error');
+    if (!res.headersSent) res.status(502).json({ error: 'Proxy error' });
+    else res.destroy();
+  } finally {
+    clearTimeout(timer);
   }
 });
 
+// --- API: assets ---
+// Content-addressed, so responses never change: cached for a year, revalidated by hash
+app.get('/assets/:id', async (req, res) => {
+  const { id } = req.params;
+  const meta = await assetStore.get(id);
+  if (!meta) return res.status(404).json({ error: 'Unknown asset' });
+  // assets stored before types were checked may be anything; only images and GLBs go out
+  if (!ASSET_SERVED_TYPES.has(meta.mimeType)) return res.status(403).json({ error: 'Asset type not served' });
+  res.set({
+    'Content-Type': meta.mimeType,
+    'Cache-Control': 'public, max-age=31536000, immutable',
+    ETag: `"${id}"`,
+    'X-Content-Type-Options': 'nosniff',
+    'Content-Security-Policy': "default-src 'none'; sandbox",
+  });
+  if (String(req.headers['if-none-match'] || '').includes(id)) return res.status(304).end();
+  res.sendFile(assetStore.path(id), { etag: false, lastModified: false }, (err) => {
+    if (err && !res.headersSent) res.status(err.status || 500).end();
+  });
+});
+
 // --- API: ElevenLabs speech-to-text ---
 app.post('/api/stt', upload.single('audio'), async (req, res) => {
   try {
@@ -889,24 +4721,71 @@ app.post('/api/stt', upload.single('audio'), async (req, res) => {
     else if (/ogg/i.test(mt)) ext = 'ogg';
     form.append('file', new Blob([req.file.buffer], { type: mt }), `audio.${ext}`);
 
-    const r = await fetch('https://api.elevenlabs.io/v1/speech-to-text', {
-      method: 'POST',
-      headers: { 'xi-api-key': process.env.ELEVEN_API_KEY },
-      body: form,
-    });
-    if (!r.ok) {
-      const t = await r.text();
-      throw new Error(`ElevenLabs STT error: ${r.status} ${t}`);
-    }
-    const j = await r.json();
+    const j = await req.usage.track('elevenlabs', 'speech-to-text/scribe_v1', async () => {
+      const r = await fetch('https://api.elevenlabs.io/v1/speech-to-text', {
+        method: 'POST',
+        headers: { 'xi-api-key': process.env.ELEVEN_API_KEY },
+        body: form,
+      });
+      if (!r.ok) {
+        const t = await r.text();
+        throw new Error(`ElevenLabs STT error: ${r.status} ${t}`);
+      }
+      return r.json();
+    }, { purpose: 'stt' });
     console.log('[STT] text len:', (j.text || '').length);
     res.json({ text: j.text || '' });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: String(err.message || err) });
+    if (!err.status) console.error(err);
+    res.status(err.status || 500).json({ error: String(err.message || err) });
+  }
+});
+
+// --- API: prompt templates ---
+// GET /api/prompts — every template with its versions and default, plus the style presets;
+// `?full=1` includes the template text
+app.get('/api/prompts', (req, res) => {
+  const full = req.query.full === '1' || req.query.full === 'true';
+  const templates = Object.fromEntries(Object.entries(prompts.templates).map(([name, t]) => [name, {
+    default: `${name}@${t.default}`,
+    versions: full ? Object.fromEntries(Object.entries(t.versions).map(([v, text]) => [`${name}@${v}`, text])) : Object.keys(t.versions).map(v => `${name}@${v}`),
+  }]));
+  res.json({ templates, stylePresets: prompts.stylePresets });
+});
+
+// --- API: usage ---
+// GET /api/usage?day=YYYY-MM-DD&days=N&user=ID|all — the caller's own usage by default;
+// other users and `all` need USAGE_ADMIN_TOKEN in X-Admin-Token.
+app.get('/api/usage', async (req, res) => {
+  try {
+    const day = String(req.query.day || usageDay());
+    if (!DAY_RE.test(day) || Number.isNaN(Date.parse(`${day}T00:00:00Z`))) throw httpError(400, 'day must be YYYY-MM-DD');
+    const days = Math.round(Number(req.query.days || 1));
+    if (!(days >= 1 && days <= USAGE_MAX_DAYS)) throw httpError(400, `days must be between 1 and ${USAGE_MAX_DAYS}`);
+    const wanted = String(req.query.user || req.userId);
+    if (wanted !== req.userId && (!USAGE_ADMIN_TOKEN || !sameToken(String(req.get('x-admin-token') || ''), USAGE_ADMIN_TOKEN))) {
+      throw httpError(403, 'Reporting on other users needs the admin token');
+    }
+    const user = wanted === 'all' ? null : wanted;
+    const report = await usageReport({ day, days, user });
+    // today's remaining allowance, as the quota checks see it
+    if (day === usageDay()) {
+      const totals = usageLedger.totals(user || '*');
+      report.quota = {
+        user: user && { limits: userQuota(user), used: totals.user },
+        global: { limits: usageConfig.quotas.global, used: totals.global },
+      };
+    }
+    res.json(report);
+  } catch (err) {
+    if (!err.status) console.error(err);
+    res.status(err.status || 500).json({ error: String(err.message || err) });
   }
 });
 
+// --- API: per-host crawl stats ---
+app.get('/api/crawl/stats', (req, res) => res.json({ hosts: crawlStatsReport() }));
+
 // --- health ---
 app.get('/health', (req, res) => res.json({ ok: true }));
 